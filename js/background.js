@@ -0,0 +1,204 @@
+// Background page
+//
+// Owns the Cast session so it survives navigation and is shared by all tabs.
+// The views (the overlay on the pages and the popup) connect with a port, they get the
+// player state on every change and send commands naming a CastPlayer method.
+// Requests expecting an answer are sent with chrome.runtime.sendMessage.
+
+
+(function() {
+  'use strict';
+
+
+/**
+ * CastPlayer methods the views may call
+ */
+var COMMANDS = [
+  'cast',
+  'stopApp',
+  'playMedia',
+  'pauseMedia',
+  'stopMedia',
+  'seekMedia',
+  'seekBy',
+  'togglePlayback',
+  'setVolume',
+  'changeVolume',
+  'muteMedia',
+  'nextMedia',
+  'previousMedia',
+  'jumpToMedia',
+  'addToQueue',
+  'selectQuality',
+  'selectTextTrack',
+  'setCaptionStyle',
+  'addTextTrack',
+  'reloadMedia'
+];
+
+
+var castPlayer = new CastPlayer();
+
+// @type {Array} ports of the connected views
+var ports = [];
+
+castPlayer.addStateListener(function(state) {
+  ports.forEach(function(port) {
+    port.postMessage({ state: state });
+  });
+});
+
+var mediaSniffer = new MediaSniffer();
+
+/**
+ * @param {Object} settings The extension settings by name
+ */
+var applySettings = function(settings) {
+  mediaSniffer.enabled = settings.networkDetection;
+};
+Settings.load().then(applySettings);
+Settings.onChanged(applySettings);
+
+/**
+ * @param {Port} port A connected view
+ * @return {Number} The id of the tab of an overlay, -1 for the popup
+ */
+var getTabId = function(port) {
+  return port.sender && port.sender.tab ? port.sender.tab.id : -1;
+};
+
+// the overlays offer the media their page requested in the source picker
+mediaSniffer.addListener(function(tabId, sources) {
+  ports.forEach(function(port) {
+    if( getTabId(port) == tabId ) {
+      port.postMessage({ detectedSources: sources });
+    }
+  });
+});
+
+chrome.runtime.onConnect.addListener(function(port) {
+  ports.push(port);
+  port.postMessage({ state: castPlayer.getState() });
+  if( mediaSniffer.getSources(getTabId(port)).length ) {
+    port.postMessage({ detectedSources: mediaSniffer.getSources(getTabId(port)) });
+  }
+
+  port.onMessage.addListener(function(message) {
+    if( COMMANDS.indexOf(message.command) < 0 ) {
+      console.log("unknown command " + message.command);
+      return;
+    }
+    castPlayer[message.command].apply(castPlayer, message.args || []);
+  });
+
+  port.onDisconnect.addListener(function() {
+    ports.splice(ports.indexOf(port), 1);
+  });
+});
+
+
+// the media keys and other commands of the manifest are named after the shortcut actions
+chrome.commands.onCommand.addListener(function(name) {
+  var action = Shortcuts.ACTIONS[name];
+  if( action ) {
+    castPlayer[action.command].apply(castPlayer, action.args);
+  }
+});
+
+
+/**
+ * URL patterns of the links offered to cast directly
+ */
+var MEDIA_LINK_PATTERNS = ['mp4', 'webm', 'm3u8'].reduce(function(patterns, extension) {
+  return patterns.concat(['*://*/*.' + extension, '*://*/*.' + extension + '?*']);
+}, []);
+
+// videos streamed by a script have a blob: URL the receiver can't load
+chrome.contextMenus.create({
+  id: 'castVideo',
+  title: 'Cast this video',
+  contexts: ['video'],
+  targetUrlPatterns: ['http://*/*', 'https://*/*']
+});
+chrome.contextMenus.create({
+  id: 'castLink',
+  title: 'Cast this link',
+  contexts: ['link'],
+  targetUrlPatterns: MEDIA_LINK_PATTERNS
+});
+
+/**
+ * @param {string} url The URL of a media file
+ * @return {string} The decoded file name without extension, e.g. 'My Movie' for .../My%20Movie.mp4
+ */
+var getFileTitle = function(url) {
+  var name = new URL(url).pathname.split('/').pop().replace(/\.[^.]*$/, '');
+  try {
+    name = decodeURIComponent(name);
+  }
+  catch(e) {
+    // keep the name as it is
+  }
+  return name.replace(/[._]+/g, ' ').trim();
+};
+
+// videos are titled like their page, links like the file they point to
+chrome.contextMenus.onClicked.addListener(function(info, tab) {
+  var source = info.menuItemId == 'castVideo' ? info.srcUrl : info.linkUrl;
+  var pageTitle = tab ? tab.title : '';
+  var descriptor = new MediaDescriptor({
+    source: source,
+    title: (info.menuItemId == 'castVideo' ? pageTitle : getFileTitle(source)) || pageTitle || undefined
+  });
+  // the frame embedding the video is the page its host expects
+  descriptor.addPageHeaders(info.frameUrl || info.pageUrl || (tab && tab.url));
+
+  ContentTypes.detect(descriptor).catch(function(error) {
+    // cast with the type the URL tells rather than not at all
+    DiagnosticsLog.add(CastErrors.classify(error, 'detect', descriptor));
+    descriptor.contentType = ContentTypes.fromUrl(source) || ContentTypes.DEFAULT;
+    descriptor.sources[descriptor.selectedSource].contentType = descriptor.contentType;
+    return descriptor;
+  }).then(function(descriptor) {
+    castPlayer.cast([descriptor], 0);
+  });
+});
+
+
+/**
+ * Handlers of the requests of the views by type, they return a Promise
+ */
+var requestHandlers = {
+  // the entry to offer resuming a media from, null if there is nothing to resume
+  'resume.get': function(data) {
+    return ResumeStore.load(new MediaDescriptor(data)).then(function(entry) {
+      return ResumeStore.canResume(entry) ? entry : null;
+    });
+  },
+  // errors of the views, e.g. of the source search
+  'diagnostics.add': function(data) {
+    return DiagnosticsLog.add(data);
+  },
+  // the site rules the search of a page may use, content scripts can't check permissions
+  'siteRules.get': function(data) {
+    return SiteRules.loadAllowed(data.host);
+  }
+};
+
+chrome.runtime.onMessage.addListener(function(message, sender, sendResponse) {
+  if( !message || !requestHandlers[message.request] ) {
+    return false;
+  }
+
+  requestHandlers[message.request](message.data).then(function(result) {
+    sendResponse({ result: result });
+  }, function(error) {
+    sendResponse({ error: error.message });
+  });
+  // the response is sent asynchronously
+  return true;
+});
+
+
+  window.castPlayer = castPlayer;
+})();
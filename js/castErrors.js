@@ -0,0 +1,135 @@
+// Cast errors
+//
+// Turns the errors of the Cast API, of the receiver and of the source search
+// into entries with a category, a message for the user and the label of the
+// action retrying what failed. The entries are shown by the views and kept in
+// the diagnostics log.
+
+
+(function() {
+  'use strict';
+
+
+/**
+ * Message and retry label of each category
+ */
+var CATEGORIES = {
+  'RECEIVER_UNAVAILABLE': {
+    message: 'No Chromecast found, check that it is switched on and in the same network',
+    action: 'Retry'
+  },
+  'SESSION_TIMEOUT': {
+    message: 'The Chromecast did not answer in time',
+    action: 'Retry'
+  },
+  'MEDIA_LOAD_FAILED': {
+    message: 'The Chromecast could not load the media, another quality may work',
+    action: 'Retry'
+  },
+  'UNSUPPORTED_FORMAT': {
+    message: 'The Chromecast can not play this format',
+    action: 'Retry'
+  },
+  'EXTRACTOR_FAILED': {
+    message: 'No video found on this page',
+    action: 'Search again'
+  },
+  'NETWORK': {
+    message: 'The connection to the Chromecast was lost',
+    action: 'Reconnect'
+  },
+  'SUBTITLES_TOO_LARGE': {
+    message: 'The subtitles are too large to be sent to the Chromecast, turn on the relay in the options to cast them',
+    action: 'Retry'
+  },
+  'RELAY_UNAVAILABLE': {
+    message: 'The local relay does not answer, check that it runs and its address in the options',
+    action: 'Retry'
+  },
+  'UNKNOWN': {
+    message: 'Something went wrong',
+    action: 'Retry'
+  }
+};
+
+
+var CastErrors = {
+
+  CATEGORIES: CATEGORIES,
+
+  /**
+   * @param {Object} error A chrome.cast.Error or an Error
+   * @param {string} context What failed, e.g. 'launch', 'loadMedia', 'relay', 'subtitles' or 'search'
+   * @return {string} A key of CATEGORIES
+   */
+  getCategory: function(error, context) {
+    var ErrorCode = window.chrome && chrome.cast && chrome.cast.ErrorCode || {};
+
+    switch( error.code )
+    {
+      case ErrorCode.RECEIVER_UNAVAILABLE:
+        return 'RECEIVER_UNAVAILABLE';
+      case ErrorCode.TIMEOUT:
+        return 'SESSION_TIMEOUT';
+      case ErrorCode.LOAD_MEDIA_FAILED:
+        return 'MEDIA_LOAD_FAILED';
+      case ErrorCode.CHANNEL_ERROR:
+      case ErrorCode.SESSION_ERROR:
+        return 'NETWORK';
+      default:
+        break;
+    }
+
+    if( context == 'relay' ) {
+      return 'RELAY_UNAVAILABLE';
+    }
+    if( context == 'subtitles' ) {
+      return 'SUBTITLES_TOO_LARGE';
+    }
+    if( /network|failed to fetch/i.test(error.message || error.description || '') ) {
+      return 'NETWORK';
+    }
+    if( context == 'search' ) {
+      return 'EXTRACTOR_FAILED';
+    }
+    return context == 'loadMedia' || context == 'playback' ? 'MEDIA_LOAD_FAILED' : 'UNKNOWN';
+  },
+
+  /**
+   * @param {Object} error A chrome.cast.Error or an Error
+   * @param {string} context What failed, e.g. 'launch', 'loadMedia' or 'search'
+   * @param {MediaDescriptor} opt_descriptor The media concerned
+   * @return {Object} An entry with the members category, message, action, context,
+   *   code, description, time and the source, contentType and extractor of the media,
+   *   null for the cast dialog closed by the user
+   */
+  classify: function(error, context, opt_descriptor) {
+    error = error || {};
+    if( window.chrome && chrome.cast && error.code == chrome.cast.ErrorCode.CANCEL ) {
+      return null;
+    }
+
+    var category = CastErrors.getCategory(error, context);
+    if( category == 'MEDIA_LOAD_FAILED' && opt_descriptor &&
+        ContentTypes.isSupported(opt_descriptor.contentType) === false ) {
+      category = 'UNSUPPORTED_FORMAT';
+    }
+
+    return {
+      category: category,
+      message: CATEGORIES[category].message,
+      action: CATEGORIES[category].action,
+      context: context,
+      code: error.code || '',
+      description: error.description || error.message || '',
+      time: Date.now(),
+      source: opt_descriptor ? opt_descriptor.source : '',
+      contentType: opt_descriptor ? opt_descriptor.contentType : '',
+      extractor: opt_descriptor ? opt_descriptor.extractor : ''
+    };
+  }
+};
+
+
+  window.CastErrors = CastErrors;
+})();
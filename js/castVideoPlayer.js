@@ -18,39 +18,25 @@
 
 
 /**
- * Width of progress bar in pixel
+ * Seconds before the end of a queue item the next one is preloaded
  **/
-var PROGRESS_BAR_WIDTH = 600;
-
+var QUEUE_PRELOAD_TIME = 20;
 
 /**
- * The max attempts count for timers
+ * Seconds of playback between two saves of the resume position
  **/
- var MAX_ATTEMPT_COUNT = 5;
+var RESUME_SAVE_INTERVAL = 10;
 
 /**
- * Constants of states for Chromecast device 
+ * Seconds between two requests of the receiver's media status, between them
+ * the position is estimated from the wall clock
  **/
-var DEVICE_STATE = {
-  'IDLE' : 0, 
-  'ACTIVE' : 1, 
-  'WARNING' : 2, 
-  'ERROR' : 3
-};
+var STATUS_SYNC_INTERVAL = 15;
 
 /**
- * Constants of states for CastPlayer 
+ * Namespace of the messages exchanged with the MovieCast receiver, see receiver/
  **/
-var PLAYER_STATE = {
-  'IDLE' : 'IDLE', 
-  'LOADING' : 'LOADING', 
-  'LOADED' : 'LOADED', 
-  'PLAYING' : 'PLAYING',
-  'PAUSED' : 'PAUSED',
-  'STOPPED' : 'STOPPED',
-  'SEEKING' : 'SEEKING',
-  'ERROR' : 'ERROR'
-};
+var RECEIVER_NAMESPACE = 'urn:x-cast:com.moviecast.player';
 
 /**
  * Cast player object
@@ -63,51 +49,97 @@ var PLAYER_STATE = {
  *  - Cast player variables for controlling Cast mode media playback 
  *  - Local player variables for controlling local mode media playbacks
  *  - Current media variables for transition between Cast and local modes
+ * The player lives in the background page and has no UI. The overlay on the
+ * pages and the popup render the state it reports to its state listeners.
  */
 var CastPlayer = function() {
   /* device variables */
   // @type {DEVICE_STATE} A state for device
   this.deviceState = DEVICE_STATE.IDLE;
 
+  // @type {Boolean} true while a receiver is on the network, unknown before the API is initialized
+  this.receiverAvailable = null;
+
+  // @type {Boolean} true while a session is requested
+  this.connecting = false;
+
   /* Cast player variables */
   // @type {Object} a chrome.cast.media.Media object
   this.currentMediaSession = null;
 
-  // @type {Number} volume
+  // @type {Number} volume, set to the default volume of the settings when a session starts
   this.currentVolume = 0.5;
 
-  // @type {Boolean} A flag for autoplay after load
-  this.autoplay = true;
-
   // @type {string} a chrome.cast.Session object
   this.session = null;
 
-  // @type {PLAYER_STATE} A state for Cast media player
-  this.castPlayerState = PLAYER_STATE.IDLE;
+  // @type {PlayerStateMachine} The PLAYER_STATE of the Cast media player
+  this.playerState = new PlayerStateMachine();
+  this.playerState.addListener(this.onPlayerStateChange.bind(this));
 
 
   /* Current media variables */
   // @type {Boolean} Audio on and off
   this.audio = true;
 
+  // @type {MediaDescriptor} The current item of the queue
   this.mediaContent = null;
 
-  // @type {Number} A number for current media time
+  // @type {MediaQueue} The media to cast in playback order
+  this.queue = new MediaQueue();
+
+  // @type {string} A key of Subtitles.SIZES
+  this.captionSize = 'Normal';
+
+  // @type {string} A key of Subtitles.BACKGROUNDS
+  this.captionBackground = 'Shaded';
+
+  // @type {Number} Seconds into the media the next launch starts playback at
+  this.startTime = 0;
+
+  // @type {Number} The position saved last for resuming
+  this.savedPosition = 0;
+
+  // @type {Number} A number for current media time, refreshed from progress
   this.currentMediaTime = 0;
 
+  // @type {ProgressTracker} Estimates the media time between two media status updates
+  this.progress = new ProgressTracker();
+
+  // @type {Number} Date.now() of the last media status request
+  this.lastStatusSync = 0;
+
   // @type {Number} A number for current media duration
   this.currentMediaDuration = -1;
 
+  // @type {Boolean} A live stream has no known duration and can't be seeked
+  this.liveStream = false;
+
   // @type {Timer} A timer for tracking progress of media
   this.timer = null;
 
-  // @type {Boolean} A boolean to stop timer update of progress when triggered by media status event 
-  this.progressFlag = true;
-
   // @type {Number} A number in milliseconds for minimal progress update
   this.timerStep = 1000;
 
-  this.initializeCastPlayer();
+  // @type {Array} functions called with the state whenever it changes
+  this.stateListeners = [];
+
+  // @type {Object} The last error classified by CastErrors, null once playback works again
+  this.lastError = null;
+
+  // @type {Object} The URLs of the streams registered with the local relay by source URL
+  this.relayUrls = {};
+
+  // @type {Object} The extension settings by name, see Settings
+  this.settings = Settings.withDefaults(null);
+
+  Settings.onChanged(function(settings) {
+    this.settings = settings;
+  }.bind(this));
+  Settings.load().then(function(settings) {
+    this.settings = settings;
+    this.initializeCastPlayer();
+  }.bind(this));
 };
 
 
@@ -124,20 +156,22 @@ CastPlayer.prototype.initializeCastPlayer = function() {
     return;
   }
 
-  // default set to the default media receiver app ID
-  // optional: you may change it to point to your own
-  var applicationID = chrome.cast.media.DEFAULT_MEDIA_RECEIVER_APP_ID;
-
   // request session
-  var sessionRequest = new chrome.cast.SessionRequest(applicationID);
+  var sessionRequest = new chrome.cast.SessionRequest(this.getApplicationId());
+  // join sessions started from other tabs of the site to add to their queue
   var apiConfig = new chrome.cast.ApiConfig(sessionRequest,
     this.sessionListener.bind(this),
-    this.receiverListener.bind(this));
+    this.receiverListener.bind(this),
+    chrome.cast.AutoJoinPolicy.ORIGIN_SCOPED);
 
   chrome.cast.initialize(apiConfig, this.onInitSuccess.bind(this), this.onError.bind(this));
+};
 
-  this.initializeUI();
-  this.searchVideoSource();
+/**
+ * @return {string} The receiver application set in the options, the default media receiver if none is
+ */
+CastPlayer.prototype.getApplicationId = function() {
+  return this.settings.receiverAppId || chrome.cast.media.DEFAULT_MEDIA_RECEIVER_APP_ID;
 };
 
 /**
@@ -145,14 +179,35 @@ CastPlayer.prototype.initializeCastPlayer = function() {
  */
 CastPlayer.prototype.onInitSuccess = function() {
   console.log("init success");
-  this.updateMediaControlUI();
+  this.notifyStateChange();
 };
 
 /**
  * Generic error callback function 
+ * @param {chrome.cast.Error} e The error of a Cast API call
  */
-CastPlayer.prototype.onError = function() {
+CastPlayer.prototype.onError = function(e) {
   console.log("error");
+  this.reportError('command', e);
+};
+
+/**
+ * Classify an error, show it in the views and keep it in the diagnostics log
+ * @param {string} context What failed, e.g. 'launch' or 'loadMedia'
+ * @param {chrome.cast.Error} error The error
+ * @return {Object} The entry created by CastErrors.classify, null if the user cancelled
+ */
+CastPlayer.prototype.reportError = function(context, error) {
+  var entry = CastErrors.classify(error, context, this.mediaContent);
+  if( entry == null ) {
+    return null;
+  }
+
+  console.log(context + " failed: " + entry.category + " " + entry.description);
+  this.lastError = entry;
+  DiagnosticsLog.add(entry);
+  this.notifyStateChange();
+  return entry;
 };
 
 /**
@@ -182,12 +237,35 @@ CastPlayer.prototype.sessionListener = function(e) {
  * does not provide a list of device IDs
  */
 CastPlayer.prototype.receiverListener = function(e) {
-  if( e === 'available' ) {
+  this.receiverAvailable = e === chrome.cast.ReceiverAvailability.AVAILABLE;
+  if( this.receiverAvailable ) {
     console.log("receiver found");
   }
   else {
     console.log("receiver list empty");
   }
+  this.notifyStateChange();
+};
+
+/**
+ * Send a message to the MovieCast receiver, see receiver/receiver.js for the message types.
+ * The default media receiver does not know the namespace, nothing is sent to it.
+ * @param {Object} message A message with a type member
+ */
+CastPlayer.prototype.sendReceiverMessage = function(message) {
+  if( !this.session || this.session.appId == chrome.cast.media.DEFAULT_MEDIA_RECEIVER_APP_ID ) {
+    return;
+  }
+  this.session.sendMessage(RECEIVER_NAMESPACE, message,
+    this.mediaCommandSuccessCallback.bind(this, "sent " + message.type),
+    this.onError.bind(this));
+};
+
+/**
+ * @return {string} The name of the receiver of the session, e.g. 'Living Room TV', or null
+ */
+CastPlayer.prototype.getReceiverName = function() {
+  return this.session && this.session.receiver ? this.session.receiver.friendlyName : null;
 };
 
 
@@ -198,7 +276,15 @@ CastPlayer.prototype.receiverListener = function(e) {
  */
 CastPlayer.prototype.launchApp = function() {
   console.log("launching app...");
-  chrome.cast.requestSession(this.onRequestSessionSuccess.bind(this), this.onLaunchError.bind(this));
+  if( this.connecting ) {
+    return;
+  }
+  this.connecting = true;
+  this.notifyStateChange();
+
+  // the receiver application may have been changed in the options since the API was initialized
+  chrome.cast.requestSession(this.onRequestSessionSuccess.bind(this), this.onLaunchError.bind(this),
+    new chrome.cast.SessionRequest(this.getApplicationId()));
   if( this.timer ) {
     clearInterval(this.timer);
   }
@@ -211,9 +297,11 @@ CastPlayer.prototype.launchApp = function() {
 CastPlayer.prototype.onRequestSessionSuccess = function(e) {
   console.log("session success: " + e.sessionId);
   this.session = e;
+  this.connecting = false;
   this.deviceState = DEVICE_STATE.ACTIVE;
-  this.updateMediaControlUI();
-  this.loadMedia();
+  this.setVolume(this.settings.defaultVolume);
+  this.loadMedia(undefined, this.startTime);
+  this.startTime = 0;
 };
 
 /**
@@ -221,13 +309,20 @@ CastPlayer.prototype.onRequestSessionSuccess = function(e) {
  */
 CastPlayer.prototype.onLaunchError = function(error){
   console.log("launch error");
-  this.deviceState = DEVICE_STATE.ERROR;
+  this.connecting = false;
+  // closing the cast dialog is no error
+  this.deviceState = this.reportError('launch', error) ? DEVICE_STATE.ERROR : DEVICE_STATE.IDLE;
+  this.notifyStateChange();
 };
 
 /**
  * Stops the running receiver application associated with the session.
  */
 CastPlayer.prototype.stopApp = function() {
+  if( !this.session ) {
+    return;
+  }
+  this.saveResumePosition();
   this.session.stop(this.onStopAppSuccess.bind(this, 'Session stopped'),
       this.onError.bind(this));    
 
@@ -239,46 +334,259 @@ CastPlayer.prototype.stopApp = function() {
 CastPlayer.prototype.onStopAppSuccess = function(message) {
   console.log(message);
   this.deviceState = DEVICE_STATE.IDLE;
-  this.castPlayerState = PLAYER_STATE.IDLE;
+  this.playerState.transition(PLAYER_STATE.IDLE);
   this.currentMediaSession = null;
   clearInterval(this.timer);
   this.resetProgressAndDuration();
-  this.updateMediaControlUI();
+
+  // the receiver's queue is gone, the views fall back to the media of their page
+  this.queue = new MediaQueue();
+  this.mediaContent = null;
+  this.relayUrls = {};
+
+  this.notifyStateChange();
+};
+
+/**
+ * @param {Object} textTrack A text track of a media
+ * @param {Object} budget The member left holds the characters of data URLs the message may still take
+ * @return {string} The URL the receiver loads the track from, null if it is too large to be sent inline
+ */
+CastPlayer.prototype.getTrackUrl = function(textTrack, budget) {
+  if( !Subtitles.isInline(textTrack) ) {
+    return textTrack.source;
+  }
+  if( this.settings.relayMode && this.relayUrls[textTrack.source] ) {
+    return this.relayUrls[textTrack.source];
+  }
+  if( textTrack.source.length > budget.left ) {
+    return null;
+  }
+  budget.left -= textTrack.source.length;
+  return textTrack.source;
+};
+
+/**
+ * Builds the receiver side description of a media
+ * @param {MediaDescriptor} descriptor A media descriptor
+ * @param {Object} budget The member left holds the characters of data URLs the message may
+ *   still take, inline tracks above it are left out
+ * @return {chrome.cast.media.MediaInfo} The media info to load
+ */
+CastPlayer.prototype.buildMediaInfo = function(descriptor, budget) {
+  var mediaInfo = new chrome.cast.media.MediaInfo(descriptor.source);
+  // the receiver loads relayed streams from the relay, the content id stays the source the views know
+  if( this.settings.relayMode && this.relayUrls[descriptor.source] ) {
+    mediaInfo.contentUrl = this.relayUrls[descriptor.source];
+  }
+  mediaInfo.contentType = descriptor.contentType || ContentTypes.DEFAULT;
+  mediaInfo.streamType = descriptor.live ? chrome.cast.media.StreamType.LIVE :
+    chrome.cast.media.StreamType.BUFFERED;
+
+  mediaInfo.metadata = this.buildMetadata(descriptor);
+
+  // the descriptor as the page found it, pages joining the session rebuild the queue from it
+  mediaInfo.customData = {
+    "payload" : {
+      "title" : descriptor.title,
+      "subtitle" : descriptor.subtitle,
+      "thumb" : descriptor.thumb
+    }
+  };
+
+  mediaInfo.tracks = descriptor.textTracks.map(function(textTrack, index) {
+    var url = this.getTrackUrl(textTrack, budget);
+    if( url == null ) {
+      DiagnosticsLog.add(CastErrors.classify(new Error('subtitles ' + textTrack.label + ' left out, ' +
+        textTrack.source.length + ' characters'), 'subtitles', descriptor));
+      return null;
+    }
+
+    // track ids are the index in textTracks plus one
+    var track = new chrome.cast.media.Track(index + 1, chrome.cast.media.TrackType.TEXT);
+    track.trackContentId = url;
+    track.trackContentType = textTrack.contentType;
+    track.subtype = textTrack.kind == 'captions' ? chrome.cast.media.TextTrackType.CAPTIONS :
+      chrome.cast.media.TextTrackType.SUBTITLES;
+    track.name = textTrack.label;
+    track.language = textTrack.language;
+    return track;
+  }, this).filter(function(track) {
+    return track != null;
+  });
+  mediaInfo.textTrackStyle = this.buildTextTrackStyle();
+
+  return mediaInfo;
+};
+
+/**
+ * Metadata shown by the receiver and the Cast dialog of Chrome. Titles naming an episode
+ * give TV show metadata, titles with a release year movie metadata.
+ * @param {MediaDescriptor} descriptor The media
+ * @return {Object} A chrome.cast.media.*MediaMetadata object
+ */
+CastPlayer.prototype.buildMetadata = function(descriptor) {
+  var parsed = MediaDescriptor.parseTitle(descriptor.title);
+  var metadata;
+
+  if( parsed.episode ) {
+    metadata = new chrome.cast.media.TvShowMediaMetadata();
+    metadata.seriesTitle = parsed.series;
+    metadata.season = parsed.season;
+    metadata.episode = parsed.episode;
+    metadata.title = parsed.title || parsed.series + " S" + parsed.season + " E" + parsed.episode;
+  }
+  else if( parsed.year ) {
+    metadata = new chrome.cast.media.MovieMediaMetadata();
+    metadata.title = parsed.title;
+    metadata.releaseDate = String(parsed.year);
+    metadata.subtitle = descriptor.subtitle;
+  }
+  else {
+    metadata = new chrome.cast.media.GenericMediaMetadata();
+    metadata.title = descriptor.title;
+    metadata.subtitle = descriptor.subtitle;
+  }
+
+  metadata.images = descriptor.thumb ? [new chrome.cast.Image(descriptor.thumb)] : [];
+  return metadata;
+};
+
+/**
+ * @return {chrome.cast.media.TextTrackStyle} The caption style chosen in the CC menu
+ */
+CastPlayer.prototype.buildTextTrackStyle = function() {
+  var style = new chrome.cast.media.TextTrackStyle();
+  style.fontScale = Subtitles.SIZES[this.captionSize];
+  style.backgroundColor = Subtitles.BACKGROUNDS[this.captionBackground];
+  style.foregroundColor = '#FFFFFFFF';
+  style.edgeType = chrome.cast.media.TextTrackEdgeType.DROP_SHADOW;
+  style.edgeColor = '#000000FF';
+  return style;
 };
 
 /**
- * Loads media into a running receiver application
- * @param {Number} mediaIndex An index number to indicate current media content
+ * @param {MediaDescriptor} descriptor A media descriptor
+ * @return {Array} The receiver track ids of the shown subtitles
  */
-CastPlayer.prototype.loadMedia = function(mediaIndex) {
+CastPlayer.prototype.getActiveTrackIds = function(descriptor) {
+  return descriptor.activeTextTrack >= 0 ? [descriptor.activeTextTrack + 1] : [];
+};
+
+/**
+ * @param {MediaDescriptor} descriptor A media descriptor
+ * @param {Object} budget The characters of data URLs the message may still take, see buildMediaInfo
+ * @return {chrome.cast.media.QueueItem} A queue item playing on when the previous one ends
+ */
+CastPlayer.prototype.buildQueueItem = function(descriptor, budget) {
+  var mediaInfo = this.buildMediaInfo(descriptor, budget);
+  var item = new chrome.cast.media.QueueItem(mediaInfo);
+  item.autoplay = true;
+  item.preloadTime = QUEUE_PRELOAD_TIME;
+  item.activeTrackIds = this.getActiveTrackIds(descriptor).filter(function(trackId) {
+    return mediaInfo.tracks.some(function(track) {
+      return track.trackId == trackId;
+    });
+  });
+  return item;
+};
+
+/**
+ * Queue items sent in one message, the inline subtitles of the first item go first
+ * @param {Array} descriptors The media
+ * @param {Number} firstIndex The index of the media played first
+ * @return {Array} The chrome.cast.media.QueueItem objects in the order of the descriptors
+ */
+CastPlayer.prototype.buildQueueItems = function(descriptors, firstIndex) {
+  var budget = { left: Subtitles.MAX_INLINE_SIZE };
+  var items = [];
+  items[firstIndex] = this.buildQueueItem(descriptors[firstIndex], budget);
+  descriptors.forEach(function(descriptor, index) {
+    if( index != firstIndex ) {
+      items[index] = this.buildQueueItem(descriptor, budget);
+    }
+  }, this);
+  return items;
+};
+
+/**
+ * Loads the queue into a running receiver application
+ * @param {Number} mediaIndex An index number to indicate current media content, defaults to the current item
+ * @param {Number} opt_currentTime Seconds into the media to start playback at
+ */
+CastPlayer.prototype.loadMedia = function(mediaIndex, opt_currentTime) {
   if (!this.session) {
     console.log("no session");
     return;
   }
-  console.log("loading..." + this.mediaContent['title']);
-  var mediaInfo = new chrome.cast.media.MediaInfo(this.mediaContent['source']);
-  mediaInfo.contentType = 'video/mp4';
-  
-  var request = new chrome.cast.media.LoadRequest(mediaInfo);
-  request.autoplay = this.autoplay;
-  request.currentTime = 0;
-   
-  var payload = {
-    "title:" : this.mediaContent['title'],
-    "thumb" : this.mediaContent['thumb']
-  };
+  if( mediaIndex == undefined ) {
+    mediaIndex = this.queue.currentIndex;
+  }
+  if( !this.queue.items[mediaIndex] ) {
+    console.log("no media at queue index " + mediaIndex);
+    return;
+  }
+  this.playerState.transition(PLAYER_STATE.LOADING);
 
-  var json = {
-    "payload" : payload
-  };
+  this.relaySources(this.queue.items).then(function() {
+    // the session may have ended or the queue changed while registering the streams
+    if( !this.session || !this.queue.items[mediaIndex] ) {
+      return;
+    }
+    var items = this.buildQueueItems(this.queue.items, mediaIndex);
+    items[mediaIndex].autoplay = this.settings.autoplay;
+    items[mediaIndex].startTime = opt_currentTime || 0;
+
+    var request = new chrome.cast.media.QueueLoadRequest(items);
+    request.startIndex = mediaIndex;
+
+    this.session.queueLoad(request,
+      this.onMediaDiscovered.bind(this, 'loadMedia'),
+      this.onLoadMediaError.bind(this));
+  }.bind(this), this.onRelayError.bind(this));
+};
 
-  request.customData = json;
+/**
+ * Register the streams and the inline subtitles with the local relay if the relay mode is on
+ * @param {Array} descriptors The media to load
+ * @return {Promise} Resolved once relayUrls holds the relay URL of every stream and inline track
+ */
+CastPlayer.prototype.relaySources = function(descriptors) {
+  if( !this.settings.relayMode ) {
+    return Promise.resolve();
+  }
 
-  this.castPlayerState = PLAYER_STATE.LOADING;
-  this.session.loadMedia(request,
-    this.onMediaDiscovered.bind(this, 'loadMedia'),
-    this.onLoadMediaError.bind(this));
+  var relayUrls = this.relayUrls;
+  var address = this.settings.relayAddress;
+  var streams = descriptors.filter(function(descriptor) {
+    return !relayUrls[descriptor.source];
+  }).map(function(descriptor) {
+    return StreamRelay.register(address, descriptor).then(function(url) {
+      relayUrls[descriptor.source] = url;
+    });
+  });
+  var tracks = descriptors.reduce(function(tracks, descriptor) {
+    return tracks.concat(descriptor.textTracks.filter(function(track) {
+      return Subtitles.isInline(track) && !relayUrls[track.source];
+    }));
+  }, []).map(function(track) {
+    return StreamRelay.registerTrack(address, track).then(function(url) {
+      relayUrls[track.source] = url;
+    });
+  });
+
+  return Promise.all(streams.concat(tracks));
+};
 
+/**
+ * Callback function for a relay which could not register the streams
+ * @param {Error} e The error of the registration
+ */
+CastPlayer.prototype.onRelayError = function(e) {
+  console.log("relay error");
+  this.deviceState = DEVICE_STATE.WARNING;
+  this.playerState.transition(PLAYER_STATE.ERROR);
+  this.reportError('relay', e);
 };
 
 /**
@@ -288,58 +596,113 @@ CastPlayer.prototype.loadMedia = function(mediaIndex) {
 CastPlayer.prototype.onMediaDiscovered = function(how, mediaSession) {
   console.log("new media session ID:" + mediaSession.mediaSessionId + ' (' + how + ')');
   this.currentMediaSession = mediaSession;
+  this.deviceState = DEVICE_STATE.ACTIVE;
+  this.lastError = null;
+  this.progress.update(mediaSession);
   if( how == 'loadMedia' ) {
-    if( this.autoplay ) {
-      this.castPlayerState = PLAYER_STATE.PLAYING;
-    }
-    else {
-      this.castPlayerState = PLAYER_STATE.LOADED;
-    }
+    this.playerState.transition(this.settings.autoplay ? PLAYER_STATE.PLAYING : PLAYER_STATE.LOADED);
   }
 
   if( how == 'activeSession' ) {
-    this.castPlayerState = this.session.media[0].playerState; 
-    this.currentMediaTime = this.session.media[0].currentTime; 
+    this.playerState.sync(mediaSession);
   }
 
-  if( this.castPlayerState == PLAYER_STATE.PLAYING ) {
-    // start progress timer
-    this.startProgressTimer(this.incrementMediaTime);
-  }
+  this.currentMediaTime = this.progress.getCurrentTime();
+  this.lastStatusSync = Date.now();
+  // start progress timer
+  this.startProgressTimer(this.updateProgress);
 
   this.currentMediaSession.addUpdateListener(this.onMediaStatusUpdate.bind(this));
 
-  this.currentMediaDuration = this.currentMediaSession.media.duration;
-  var duration = this.currentMediaDuration;
-  var hr = parseInt(duration/3600);
-  duration -= hr * 3600;
-  var min = parseInt(duration/60);
-  var sec = parseInt(duration % 60);
-  if ( hr > 0 ) {
-    duration = hr + ":" + min + ":" + sec;
+  this.queue.sync(this.currentMediaSession);
+  this.mediaContent = this.queue.getCurrent();
+  this.updateDuration();
+
+  this.notifyStateChange();
+};
+
+/**
+ * Takes the duration of the current media, live streams report a null or infinite duration
+ */
+CastPlayer.prototype.updateDuration = function() {
+  var media = this.currentMediaSession.media;
+  if( !media ) {
+    // status updates only carry the media info when it changed
+    return;
+  }
+  this.liveStream = media.streamType == chrome.cast.media.StreamType.LIVE ||
+    media.duration == null || !isFinite(media.duration);
+  this.currentMediaDuration = this.liveStream ? -1 : media.duration;
+  this.progress.setDuration(this.currentMediaDuration);
+};
+
+/**
+ * Remember how far the current media has been played
+ * @param {Number} opt_position Seconds played, defaults to the current media time
+ */
+CastPlayer.prototype.saveResumePosition = function(opt_position) {
+  if( !this.mediaContent || this.liveStream || this.currentMediaDuration <= 0 ) {
+    return;
+  }
+
+  var position = opt_position == undefined ? this.currentMediaTime : opt_position;
+  this.savedPosition = position;
+  ResumeStore.save(this.mediaContent, position, this.currentMediaDuration).catch(function(e) {
+    console.log("resume position not saved: " + e.message);
+  });
+};
+
+/**
+ * Cast media found on a page, they replace the queue of the receiver
+ * @param {Array} items MediaDescriptor objects, plain objects sent by a view are accepted
+ * @param {Number} index The index of the item to start with
+ * @param {Number} opt_startTime Seconds into the item to start playback at
+ */
+CastPlayer.prototype.cast = function(items, index, opt_startTime) {
+  this.queue = new MediaQueue();
+  this.queue.add(items.map(function(item) {
+    return new MediaDescriptor(item);
+  }));
+  this.queue.select(index);
+  this.mediaContent = this.queue.getCurrent();
+  this.startTime = opt_startTime || 0;
+  this.lastError = null;
+
+  if( this.session ) {
+    this.loadMedia(undefined, this.startTime);
+    this.startTime = 0;
   }
   else {
-    if( min > 0 ) {
-      duration = min + ":" + sec;
-    }
-    else {
-      duration = sec;
-    }
+    this.launchApp();
   }
-  document.getElementById("duration").innerHTML = duration;
+};
 
-  // update UIs
-  this.updateMediaControlUI();
+/**
+ * Load the current item again at the current position, e.g. after an error.
+ * Without a session the launch is retried.
+ */
+CastPlayer.prototype.reloadMedia = function() {
+  if( !this.queue.items.length ) {
+    return;
+  }
+  if( !this.session ) {
+    this.launchApp();
+    return;
+  }
+  this.lastError = null;
+  clearInterval(this.timer);
+  this.loadMedia(this.queue.currentIndex, this.currentMediaTime);
 };
 
 /**
  * Callback function when media load returns error 
+ * @param {chrome.cast.Error} e The error of the load request
  */
 CastPlayer.prototype.onLoadMediaError = function(e) {
   console.log("media error");
-  this.castPlayerState = PLAYER_STATE.IDLE;
-  // update UIs
-  this.updateMediaControlUI();
+  this.deviceState = DEVICE_STATE.WARNING;
+  this.playerState.transition(PLAYER_STATE.ERROR);
+  this.reportError('loadMedia', e);
 };
 
 /**
@@ -348,82 +711,109 @@ CastPlayer.prototype.onLoadMediaError = function(e) {
  */
 CastPlayer.prototype.onMediaStatusUpdate = function(e) {
   if( e == false ) {
+    this.progress.reset();
     this.currentMediaTime = 0;
-    this.castPlayerState = PLAYER_STATE.IDLE;
+    this.playerState.transition(PLAYER_STATE.IDLE);
+    this.notifyStateChange();
+    return;
+  }
+
+  if( this.queue.sync(this.currentMediaSession) ) {
+    // the receiver moved on to another queue item
+    this.saveResumePosition();
+    console.log("now playing " + this.queue.getCurrent().title);
+    this.mediaContent = this.queue.getCurrent();
   }
+  this.updateDuration();
+  this.progress.update(this.currentMediaSession);
+  this.currentMediaTime = this.progress.getCurrentTime();
+
+  if( this.currentMediaSession.playerState == chrome.cast.media.PlayerState.IDLE &&
+      this.currentMediaSession.idleReason == chrome.cast.media.IdleReason.FINISHED ) {
+    // the last item of the queue played to its end
+    this.saveResumePosition(this.currentMediaDuration);
+  }
+  if( this.currentMediaSession.idleReason == chrome.cast.media.IdleReason.ERROR &&
+      this.playerState.state != PLAYER_STATE.ERROR ) {
+    this.deviceState = DEVICE_STATE.WARNING;
+    this.reportError('playback', new chrome.cast.Error(chrome.cast.ErrorCode.LOAD_MEDIA_FAILED,
+      'the receiver stopped playback with an error'));
+  }
+  this.playerState.sync(this.currentMediaSession);
   console.log("updating media");
-  this.updateProgressBar(e);
-  this.updateMediaControlUI();
+  this.notifyStateChange();
 };
 
 /**
  * Helper function
- * Increment media current position by 1 second 
+ * Refresh the media position from the progress tracker, the receiver is
+ * asked for its status every STATUS_SYNC_INTERVAL seconds to correct it
  */
-CastPlayer.prototype.incrementMediaTime = function() {
-  if( this.castPlayerState == PLAYER_STATE.PLAYING || this.localPlayerState == PLAYER_STATE.PLAYING ) {
-    if( this.currentMediaTime < this.currentMediaDuration ) {
-      this.currentMediaTime += 1;
-      this.updateProgressBarByTimer();
-    }
-    else {
-      this.currentMediaTime = 0;
-      clearInterval(this.timer);
-    }
+CastPlayer.prototype.updateProgress = function() {
+  if( !this.currentMediaSession ) {
+    return;
   }
-};
+  this.currentMediaTime = this.progress.getCurrentTime();
 
-/**
- * Retry resoure search
- */ 
- CastPlayer.prototype.retrySourceSearch = function() {
-   this.searchVideoSource();
- }
+  if( Date.now() - this.lastStatusSync >= STATUS_SYNC_INTERVAL * 1000 ) {
+    this.lastStatusSync = Date.now();
+    this.currentMediaSession.getStatus(null,
+      this.onMediaStatusUpdate.bind(this, true),
+      this.onError.bind(this));
+  }
 
+  if( this.playerState.state == PLAYER_STATE.PLAYING &&
+      Math.abs(this.currentMediaTime - this.savedPosition) >= RESUME_SAVE_INTERVAL ) {
+    this.saveResumePosition();
+  }
+  this.notifyStateChange();
+};
 
 /**
  * Play media in Cast mode 
  */
 CastPlayer.prototype.playMedia = function() {
-  
-  if(this.castPlayerState == PLAYER_STATE.IDLE)
-    return;
-
-  switch( this.castPlayerState) 
+  switch( this.playerState.state )
   {
     case PLAYER_STATE.LOADED:
     case PLAYER_STATE.PAUSED:
       this.currentMediaSession.play(null, 
         this.mediaCommandSuccessCallback.bind(this,"playing started for " + this.currentMediaSession.sessionId),
         this.onError.bind(this));
-      this.currentMediaSession.addUpdateListener(this.onMediaStatusUpdate.bind(this));
-      this.castPlayerState = PLAYER_STATE.PLAYING;
-      // start progress timer
-      this.startProgressTimer(this.incrementMediaTime);
+      this.playerState.transition(PLAYER_STATE.PLAYING);
       break;
-    case PLAYER_STATE.LOADING:
     case PLAYER_STATE.STOPPED:
+      // the media session has ended, load the current item again
       this.loadMedia();
-      this.currentMediaSession.addUpdateListener(this.onMediaStatusUpdate.bind(this));
-      this.castPlayerState = PLAYER_STATE.PLAYING;
       break;
     default:
       break;
   }
-  this.updateMediaControlUI();
+  this.notifyStateChange();
+};
+
+/**
+ * Pause a playing media, play it otherwise
+ */
+CastPlayer.prototype.togglePlayback = function() {
+  if( this.playerState.state == PLAYER_STATE.PLAYING || this.playerState.state == PLAYER_STATE.BUFFERING ) {
+    this.pauseMedia();
+  }
+  else {
+    this.playMedia();
+  }
 };
 
 /**
  * Pause media playback in Cast mode  
  */
 CastPlayer.prototype.pauseMedia = function() {
-  if( this.castPlayerState == PLAYER_STATE.PLAYING ) {
-    this.castPlayerState = PLAYER_STATE.PAUSED;
+  if( this.playerState.state == PLAYER_STATE.PLAYING || this.playerState.state == PLAYER_STATE.BUFFERING ) {
     this.currentMediaSession.pause(null,
       this.mediaCommandSuccessCallback.bind(this,"paused " + this.currentMediaSession.sessionId),
       this.onError.bind(this));
-    this.updateMediaControlUI();
-    clearInterval(this.timer);
+    this.playerState.transition(PLAYER_STATE.PAUSED);
+    this.saveResumePosition();
   }
 };
 
@@ -432,13 +822,43 @@ CastPlayer.prototype.pauseMedia = function() {
  * Stop meia playback in either Cast or local mode  
  */
 CastPlayer.prototype.stopMedia = function() {
+  if( !this.currentMediaSession ) {
+    return;
+  }
   this.currentMediaSession.stop(null,
     this.mediaCommandSuccessCallback.bind(this,"stopped " + this.currentMediaSession.sessionId),
     this.onError.bind(this));
-  this.castPlayerState = PLAYER_STATE.STOPPED;
-  clearInterval(this.timer);
+  this.playerState.transition(PLAYER_STATE.STOPPED);
+};
+
+/**
+ * Side effects of a player state change, the progress only advances
+ * while playing and the views get the new state
+ * @param {PLAYER_STATE} state The new state
+ * @param {PLAYER_STATE} previous The state before
+ */
+CastPlayer.prototype.onPlayerStateChange = function(state, previous) {
+  console.log("player state " + previous + " -> " + state);
+  this.progress.setAdvancing(state == PLAYER_STATE.PLAYING);
+  this.currentMediaTime = this.progress.getCurrentTime();
 
-  this.updateMediaControlUI();
+  if( state == PLAYER_STATE.IDLE || state == PLAYER_STATE.STOPPED || state == PLAYER_STATE.ERROR ) {
+    clearInterval(this.timer);
+  }
+  else if( this.currentMediaSession ) {
+    // e.g. the receiver moved on to the next queue item after the end
+    this.startProgressTimer(this.updateProgress);
+  }
+  this.notifyStateChange();
+};
+
+/**
+ * @return {Boolean} true if a media is loaded on the receiver and playing, buffering or paused
+ */
+CastPlayer.prototype.hasActiveMedia = function() {
+  var state = this.playerState.state;
+  return this.currentMediaSession != null && (state == PLAYER_STATE.PLAYING ||
+    state == PLAYER_STATE.BUFFERING || state == PLAYER_STATE.PAUSED);
 };
 
 /**
@@ -446,20 +866,8 @@ CastPlayer.prototype.stopMedia = function() {
  * @param {Boolean} mute A boolean  
  */
 CastPlayer.prototype.setReceiverVolume = function(mute) {
-  var p = document.getElementById("audio_bg_level"); 
-  var pos = parseInt(event.offsetY);
-
-  
-  if( event.currentTarget.id == 'audio_bg_track' || event.currentTarget.id == 'audio_bg_level' ) {
-    // add a drag to avoid loud volume
-    if( pos < 100 ) {
-      var vScale = this.currentVolume * 100;
-      p.style.height = pos + 'px';
-      this.currentVolume = pos/100;
-    }
-    else {
-      this.currentVolume = 1;
-    }
+  if( !this.session ) {
+    return;
   }
 
   if( !mute ) {
@@ -472,73 +880,65 @@ CastPlayer.prototype.setReceiverVolume = function(mute) {
       this.mediaCommandSuccessCallback.bind(this),
       this.onError.bind(this));
   }
-  this.updateMediaControlUI();
+  this.notifyStateChange();
+};
+
+/**
+ * @param {Number} level A volume between 0 and 1
+ */
+CastPlayer.prototype.setVolume = function(level) {
+  this.currentVolume = Math.min(Math.max(level, 0), 1);
+  this.setReceiverVolume(false);
+};
+
+/**
+ * @param {Number} delta A volume change between -1 and 1
+ */
+CastPlayer.prototype.changeVolume = function(delta) {
+  this.setVolume(this.currentVolume + delta);
 };
 
 /**
  * Mute media function in either Cast or local mode 
  */
 CastPlayer.prototype.muteMedia = function() {
-  if( this.audio == true ) {
-    this.audio = false;
-    document.getElementById('audio_on').style.display = 'none';
-    document.getElementById('audio_off').style.display = 'block';
-    if( this.currentMediaSession ) {
-      this.setReceiverVolume(true);
-    }
+  this.audio = !this.audio;
+  if( this.currentMediaSession ) {
+    this.setReceiverVolume(!this.audio);
   }
-  else {
-    this.audio = true;
-    document.getElementById('audio_on').style.display = 'block';
-    document.getElementById('audio_off').style.display = 'none';
-    if( this.currentMediaSession ) {
-      this.setReceiverVolume(false);
-    }
-  } 
-  this.updateMediaControlUI();
+  this.notifyStateChange();
 };
 
 
 /**
  * media seek function in either Cast or local mode
- * @param {Event} e An event object from seek 
+ * @param {Number} time The position to seek to in seconds
  */
-CastPlayer.prototype.seekMedia = function(event) {
-  var pos = parseInt(event.offsetX);
-  var pi = document.getElementById("progress_indicator"); 
-  var p = document.getElementById("progress"); 
-  if( event.currentTarget.id == 'progress_indicator' ) {
-    var curr = parseInt(this.currentMediaTime + this.currentMediaDuration * pos / PROGRESS_BAR_WIDTH);
-    var pp = parseInt(pi.style.marginLeft) + pos;
-    var pw = parseInt(p.style.width) + pos;
-  }
-  else {
-    var curr = parseInt(pos * this.currentMediaDuration / PROGRESS_BAR_WIDTH);
-    var pp = pos -21 - PROGRESS_BAR_WIDTH;
-    var pw = pos;
-  }
-
-
-  if(this.castPlayerState == PLAYER_STATE.PLAYING || this.castPlayerState == PLAYER_STATE.PAUSED ) {
-    p.style.width = pw + 'px';
-    pi.style.marginLeft = pp + 'px';
-  }
-
-  if( this.castPlayerState != PLAYER_STATE.PLAYING && this.castPlayerState != PLAYER_STATE.PAUSED ) {
+CastPlayer.prototype.seekMedia = function(time) {
+  if( this.liveStream || !this.hasActiveMedia() ) {
     return;
   }
 
-  this.currentMediaTime = curr;
+  this.currentMediaTime = Math.min(Math.max(time, 0), this.currentMediaDuration);
+  this.progress.setTime(this.currentMediaTime);
   console.log('Seeking ' + this.currentMediaSession.sessionId + ':' +
-    this.currentMediaSession.mediaSessionId + ' to ' + pos + "%");
+    this.currentMediaSession.mediaSessionId + ' to ' + this.currentMediaTime + "s");
   var request = new chrome.cast.media.SeekRequest();
   request.currentTime = this.currentMediaTime;
   this.currentMediaSession.seek(request,
     this.onSeekSuccess.bind(this, 'media seek done'),
     this.onError.bind(this));
-  this.castPlayerState = PLAYER_STATE.SEEKING;
+  this.playerState.transition(PLAYER_STATE.SEEKING);
+};
 
-  this.updateMediaControlUI();
+/**
+ * @param {Number} offset Seconds to move the playback by, negative to go back
+ */
+CastPlayer.prototype.seekBy = function(offset) {
+  if( !this.currentMediaSession ) {
+    return;
+  }
+  this.seekMedia(this.currentMediaTime + offset);
 };
 
 /**
@@ -547,8 +947,8 @@ CastPlayer.prototype.seekMedia = function(event) {
  */
 CastPlayer.prototype.onSeekSuccess = function(info) {
   console.log(info);
-  this.castPlayerState = PLAYER_STATE.PLAYING;
-  this.updateMediaControlUI();
+  // back to the state the receiver reports, a paused media stays paused
+  this.playerState.sync(this.currentMediaSession);
 };
 
 /**
@@ -558,230 +958,61 @@ CastPlayer.prototype.mediaCommandSuccessCallback = function(info, e) {
   console.log(info);
 };
 
-/**
- * Update progress bar when there is a media status update
- * @param {Object} e An media status update object 
- */
-CastPlayer.prototype.updateProgressBar = function(e) {
-  var p = document.getElementById("progress"); 
-  var pi = document.getElementById("progress_indicator"); 
-  if( e.idleReason == 'FINISHED' && e.playerState == 'IDLE' ) {
-    p.style.width = '0px';
-    pi.style.marginLeft = -21 - PROGRESS_BAR_WIDTH + 'px';
-    clearInterval(this.timer);
-    this.castPlayerState = PLAYER_STATE.STOPPED;
-  }
-  else {
-    p.style.width = Math.ceil(PROGRESS_BAR_WIDTH * e.currentTime / this.currentMediaSession.media.duration + 1) + 'px';
-    this.progressFlag = false; 
-    setTimeout(this.setProgressFlag.bind(this),1000); // don't update progress in 1 second
-    var pp = Math.ceil(PROGRESS_BAR_WIDTH * e.currentTime / this.currentMediaSession.media.duration);
-    pi.style.marginLeft = -21 - PROGRESS_BAR_WIDTH + pp + 'px';
-  }
-};
-
-/**
- * Set progressFlag with a timeout of 1 second to avoid UI update
- * until a media status update from receiver 
- */
-CastPlayer.prototype.setProgressFlag = function() {
-  this.progressFlag = true;
-};
-
-/**
- * Update progress bar based on timer  
- */
-CastPlayer.prototype.updateProgressBarByTimer = function() {
-  var p = document.getElementById("progress"); 
-  if( isNaN(parseInt(p.style.width)) ) {
-    p.style.width = 0;
-  } 
-  if( this.currentMediaDuration > 0 ) {
-    var pp = Math.floor(PROGRESS_BAR_WIDTH * this.currentMediaTime/this.currentMediaDuration);
-  }
-    
-  if( this.progressFlag ) { 
-    // don't update progress if it's been updated on media status update event
-    p.style.width = pp + 'px'; 
-    var pi = document.getElementById("progress_indicator"); 
-    pi.style.marginLeft = -21 - PROGRESS_BAR_WIDTH + pp + 'px';
-  }
-
-  if( pp > PROGRESS_BAR_WIDTH ) {
-    clearInterval(this.timer);
-    this.deviceState = DEVICE_STATE.IDLE;
-    this.castPlayerState = PLAYER_STATE.IDLE;
-    this.updateMediaControlUI();
-  }
-};
-
 /**
  * Resets tne media time, duration and clears the update timer.   
  */
 CastPlayer.prototype.resetProgressAndDuration = function() {
+  this.progress.reset();
   this.currentMediaTime = 0;
   this.currentMediaDuration = 0;
-
-  var p = document.getElementById("progress");
-  var pi = document.getElementById("progress_indicator");
-
-  p.style.width = '0';
-  pi.style.marginLeft = -21 - PROGRESS_BAR_WIDTH + 'px';
-}
-
-
-/**
- * Update media control UI components based on localPlayerState or castPlayerState
- */
-CastPlayer.prototype.updateMediaControlUI = function() {
-
-  var playerState = this.castPlayerState;
-
-  if( this.deviceState == DEVICE_STATE.ACTIVE ) {
-    document.getElementById("casticonactive").style.display = 'block';
-    document.getElementById("casticonidle").style.display = 'none';
-  }
-  else {
-    document.getElementById("casticonidle").style.display = 'block';
-    document.getElementById("casticonactive").style.display = 'none';
-  }
-
-  switch( playerState ) 
-  {
-    case PLAYER_STATE.LOADED:
-    case PLAYER_STATE.PLAYING:
-      document.getElementById("play").style.display = 'none';
-      document.getElementById("pause").style.display = 'block';
-      this.enableElement(document.getElementById("play"));
-      this.enableElement(document.getElementById("duration"));
-      this.enableElement(document.getElementById("audio_on"));
-      this.enableElement(document.getElementById("audio_off"));
-      break;
-    case PLAYER_STATE.IDLE:
-      this.disableElement(document.getElementById("play"));
-      this.disableElement(document.getElementById("duration"));
-      this.disableElement(document.getElementById("audio_on"));
-      this.disableElement(document.getElementById("audio_off"));
-      break;  
-    case PLAYER_STATE.PAUSED:
-    case PLAYER_STATE.LOADING:
-    case PLAYER_STATE.STOPPED:
-      document.getElementById("play").style.display = 'block';
-      document.getElementById("pause").style.display = 'none';
-      this.enableElement(document.getElementById("play"));
-      this.enableElement(document.getElementById("duration"));
-      this.enableElement(document.getElementById("audio_on"));
-      this.enableElement(document.getElementById("audio_off"));
-      break;
-    default:
-      break;
-  }
+  this.liveStream = false;
 }
 
 
 /**
- * Helper class to disable player elements 
- */ 
- CastPlayer.prototype.disableElement = function(e) {
-  e.style.opacity = 0.2;
-  e.style.cursor = 'default';
- }
-
-
- /**
- * Helper class to disable player elements 
- */ 
- CastPlayer.prototype.enableElement = function(e) {
-  e.style.opacity = 1.0;
-  e.style.cursor = 'pointer';
- }
-
-
-
-
-/**
- * Initialize UI components and add event listeners 
+ * @param {function} listener Called with the result of getState whenever the state changes
  */
-CastPlayer.prototype.initializeUI = function() {
-
-  // add event handlers to UI components
-  document.getElementById("casticonidle").addEventListener('click', this.launchApp.bind(this));
-  document.getElementById("casticonactive").addEventListener('click', this.stopApp.bind(this));
-  document.getElementById("progress_bg").addEventListener('click', this.seekMedia.bind(this));
-  document.getElementById("progress").addEventListener('click', this.seekMedia.bind(this));
-  document.getElementById("progress_indicator").addEventListener('dragend', this.seekMedia.bind(this));
-  document.getElementById("audio_on").addEventListener('click', this.muteMedia.bind(this));
-  document.getElementById("audio_off").addEventListener('click', this.muteMedia.bind(this));
-  document.getElementById("audio_bg").addEventListener('mouseover', this.showVolumeSlider.bind(this));
-  document.getElementById("audio_on").addEventListener('mouseover', this.showVolumeSlider.bind(this));
-  document.getElementById("audio_bg_level").addEventListener('mouseover', this.showVolumeSlider.bind(this));
-  document.getElementById("audio_bg_track").addEventListener('mouseover', this.showVolumeSlider.bind(this));
-  document.getElementById("audio_bg_level").addEventListener('click', this.setReceiverVolume.bind(this, false));
-  document.getElementById("audio_bg_track").addEventListener('click', this.setReceiverVolume.bind(this, false));
-  document.getElementById("audio_bg").addEventListener('mouseout', this.hideVolumeSlider.bind(this));
-  document.getElementById("audio_on").addEventListener('mouseout', this.hideVolumeSlider.bind(this));
-  document.getElementById("media_control").addEventListener('mouseover', this.showMediaControl.bind(this));
-  document.getElementById("media_control").addEventListener('mouseout', this.hideMediaControl.bind(this));
-
-  // enable play/pause buttons
-  document.getElementById("play").addEventListener('click', this.playMedia.bind(this));
-  document.getElementById("pause").addEventListener('click', this.pauseMedia.bind(this));
-  document.getElementById("progress_indicator").draggable = true;
-
-
-  // assume resource has not been found until search functions have been executed
-  document.getElementById("media_title").innerHTML = "No resource found";
-  document.getElementById("media_subtitle").innerHTML = "No subtitle";
-  document.getElementById("media_info").style.display = 'inline-block';
-
-  document.getElementById("retry").innerHTML = "(Retry)";
-  document.getElementById("retry").addEventListener('click', this.retrySourceSearch.bind(this));
-
+CastPlayer.prototype.addStateListener = function(listener) {
+  this.stateListeners.push(listener);
 };
 
-
-
-/**
- * Show the media control 
- */
-CastPlayer.prototype.showMediaControl = function() {
-  document.getElementById('media_control').style.opacity = 0.7;
-};    
-
 /**
- * Hide the media control  
+ * @return {Object} A snapshot of the player state, it only holds
+ *   plain values so it can be sent to the views
  */
-CastPlayer.prototype.hideMediaControl = function() {
-  document.getElementById('media_control').style.opacity = 0;
-};    
+CastPlayer.prototype.getState = function() {
+  return {
+    deviceState: this.deviceState,
+    receiverAvailable: this.receiverAvailable,
+    receiverName: this.getReceiverName(),
+    connecting: this.connecting,
+    playerState: this.playerState.state,
+    casting: this.currentMediaSession != null,
+    currentTime: this.currentMediaTime,
+    duration: this.currentMediaDuration,
+    live: this.liveStream,
+    volume: this.currentVolume,
+    audio: this.audio,
+    queue: {
+      items: this.queue.items,
+      currentIndex: this.queue.currentIndex
+    },
+    captionSize: this.captionSize,
+    captionBackground: this.captionBackground,
+    error: this.lastError
+  };
+};
 
 /**
- * Show the volume slider
+ * Tell the state listeners about a change
  */
-CastPlayer.prototype.showVolumeSlider = function() {
-  if(this.audio && this.castPlayerState != PLAYER_STATE.IDLE) {
-      document.getElementById('audio_bg').style.opacity = 1;
-      document.getElementById('audio_bg_track').style.opacity = 1;
-      document.getElementById('audio_bg_level').style.opacity = 1;
-      document.getElementById('audio_indicator').style.opacity = 1;
-
-      document.getElementById('audio_bg').style.display = 'block';
-      document.getElementById('audio_bg_track').style.display = 'block';
-      document.getElementById('audio_bg_level').style.display = 'block';
-      document.getElementById('audio_indicator').style.display = 'block';
-  }
-};    
+CastPlayer.prototype.notifyStateChange = function() {
+  var state = this.getState();
+  this.stateListeners.forEach(function(listener) {
+    listener(state);
+  });
+};
 
-/**
- * Hide the volume stlider 
- */
-CastPlayer.prototype.hideVolumeSlider = function() {
-  document.getElementById('audio_bg').style.opacity = 0;
-  document.getElementById('audio_bg_track').style.opacity = 0;
-  document.getElementById('audio_bg_level').style.opacity = 0;
-  document.getElementById('audio_indicator').style.opacity = 0;
-};    
-   
 
 /**
  * @param {function} A callback function for the fucntion to start timer 
@@ -799,161 +1030,170 @@ CastPlayer.prototype.startProgressTimer = function(callback) {
 
 
 /**
- * The video source search function tries to find a video source using all of the defined video source seekers
+ * Play the next item of the queue
  */
-CastPlayer.prototype.searchVideoSource = function() {
-  for (var i = 0; i < this.resourceSearchFunctions.length; i++) {
-    
-    if(this.mediaContent != null)
-      break;
-
-    var searchFuntion = this.resourceSearchFunctions[i].bind(this);
-    searchFuntion();
+CastPlayer.prototype.nextMedia = function() {
+  if( !this.queue.hasNext() ) {
+    return;
+  }
+  if( this.currentMediaSession && this.queue.itemIds.length ) {
+    this.currentMediaSession.queueNext(
+      this.mediaCommandSuccessCallback.bind(this, "queue next"),
+      this.onError.bind(this));
+  }
+  else {
+    this.queue.select(this.queue.currentIndex + 1);
+    this.mediaContent = this.queue.getCurrent();
+    this.notifyStateChange();
   }
-
 };
 
-
-
-CastPlayer.prototype.onMediaSourceSearchSuccess = function() {
-
-  if(this.mediaContent != null) {
-    document.getElementById("media_title").innerHTML = this.mediaContent['title'];
-    document.getElementById("media_subtitle").innerHTML = this.mediaContent['subtitle'];
-    document.getElementById("media_info").style.display = 'inline-block';
-
-    if(this.mediaContent['subtitle'] == "") {
-       document.getElementById("media_subtitle").style.display = "none";  
-    }
-
-    document.getElementById("retry").style.display = "none";
+/**
+ * Play the previous item of the queue
+ */
+CastPlayer.prototype.previousMedia = function() {
+  if( !this.queue.hasPrevious() ) {
+    return;
+  }
+  if( this.currentMediaSession && this.queue.itemIds.length ) {
+    this.currentMediaSession.queuePrev(
+      this.mediaCommandSuccessCallback.bind(this, "queue previous"),
+      this.onError.bind(this));
+  }
+  else {
+    this.queue.select(this.queue.currentIndex - 1);
+    this.mediaContent = this.queue.getCurrent();
+    this.notifyStateChange();
   }
-
 };
 
-
 /**
- * Add all resource search function to this array.
+ * Play an item of the up next list
+ * @param {Number} index An index in the queue
  */
-CastPlayer.prototype.resourceSearchFunctions =  [
-    findCloudPlayerSource,
-    findbitShareSource
-];
-
+CastPlayer.prototype.jumpToMedia = function(index) {
+  if( this.currentMediaSession && this.queue.itemIds.length ) {
+    this.currentMediaSession.queueJumpToItem(this.queue.itemIds[index],
+      this.mediaCommandSuccessCallback.bind(this, "queue jump to " + index),
+      this.onError.bind(this));
+  }
+  else {
+    this.queue.select(index);
+    this.mediaContent = this.queue.getCurrent();
+    this.notifyStateChange();
+  }
+};
 
 /**
- * The resource search functions 
+ * Append the media of a page to the queue playing on the receiver,
+ * e.g. one started from another tab
+ * @param {Array} pageItems MediaDescriptor objects, plain objects sent by a view are accepted
  */
-
-
-//http://streamcloud.eu/ resources
- function findCloudPlayerSource(attemptCount) {
-
-  // in case the media content has been detected meanwhiel by another function
-  // cancel the search function
-  if(this.mediaContent != null)
+CastPlayer.prototype.addToQueue = function(pageItems) {
+  var queue = this.queue;
+  var items = pageItems.map(function(item) {
+    return new MediaDescriptor(item);
+  }).filter(function(descriptor) {
+    return !queue.contains(descriptor);
+  });
+  if( !items.length || !this.currentMediaSession ) {
     return;
-
-  if(attemptCount == undefined || attemptCount == null)
-    attemptCount = 0;
-
-  var callbackFunction = findCloudPlayerSource.bind(this);
-
-  if (typeof jwplayer === "undefined") {
-      if(attemptCount <= MAX_ATTEMPT_COUNT)
-          setTimeout(function() {callbackFunction(attemptCount++)}, 1000);
-        return;
-
-  } else {
-
-
-    if (jwplayer().getPlaylist == undefined || jwplayer().getPlaylist() == undefined) {
-      if(attemptCount <= MAX_ATTEMPT_COUNT)
-        setTimeout(function() {callbackFunction(attemptCount++)}, 1000);
-      return;
-    }
-
-    var media = jwplayer().getPlaylist()[0];
-
-    if(media != null || media != undefined) {
-      
-      this.mediaContent = new Array();
-        if (media.title != undefined) {
-            this.mediaContent['title'] = media.title + "";
-        } else {
-            var grepTitleFromStreamCloudPage = function() {
-                var page = document.getElementById("page");
-                if (page == undefined) {
-                    return undefined;
-                }
-                var pageHeader = page.getElementsByClassName("header page");
-                if (!pageHeader.length) {
-                    return undefined;
-                }
-                return pageHeader[0].firstElementChild.innerHTML;
-            };
-            this.mediaContent['title'] = grepTitleFromStreamCloudPage();
-        }
-
-      if(media.file.indexOf("http") != 0) {
-          this.mediaContent['source'] = "http://" + window.location.host + media.file;
-      } else {
-          this.mediaContent['source'] = media.file;
-      }
-
-      this.mediaContent['thumb'] = media.image;
-      this.mediaContent['subtitle'] = "";
-
-      this.onMediaSourceSearchSuccess();
-    }
   }
- }
 
+  this.relaySources(items).then(function() {
+    var request = new chrome.cast.media.QueueInsertItemsRequest(this.buildQueueItems(items, 0));
+    this.currentMediaSession.queueInsertItems(request, function() {
+      this.mediaCommandSuccessCallback("queued " + items.length + " items");
+      this.sendReceiverMessage({ type: 'toast', text: items.length == 1 ? 'Added to the queue' : items.length + ' added to the queue' });
+    }.bind(this), this.onError.bind(this));
+  }.bind(this), this.reportError.bind(this, 'relay'));
+};
 
- // http://bitshare.com/
- function findbitShareSource() {
 
-  // in case the media content has been detected meanwhiel by another function 
-  // cancel the search function 
-  if(this.mediaContent != null)
+/**
+ * Show a subtitle track of the current media
+ * @param {Number} index An index in the text tracks of the media, -1 turns subtitles off
+ */
+CastPlayer.prototype.selectTextTrack = function(index) {
+  if( !this.mediaContent ) {
     return;
+  }
+  this.mediaContent.activeTextTrack = index;
+  this.editTracksInfo(null);
+  this.notifyStateChange();
+};
 
+/**
+ * Change the look of the subtitles
+ * @param {string} size A key of Subtitles.SIZES
+ * @param {string} background A key of Subtitles.BACKGROUNDS
+ */
+CastPlayer.prototype.setCaptionStyle = function(size, background) {
+  this.captionSize = size;
+  this.captionBackground = background;
+  this.editTracksInfo(this.buildTextTrackStyle());
+  this.notifyStateChange();
+};
 
-  var streamFlashElement = document.getElementById("stream_flash");
-  if(streamFlashElement == null)
+/**
+ * Apply the selected subtitle track and style on the receiver
+ * @param {chrome.cast.media.TextTrackStyle} style A new style or null to keep the current one
+ */
+CastPlayer.prototype.editTracksInfo = function(style) {
+  if( !this.currentMediaSession ) {
     return;
+  }
 
-  var scriptElements = streamFlashElement.getElementsByTagName("script");
-  if(scriptElements.length < 2)
-    return;
+  var request = new chrome.cast.media.EditTracksInfoRequest(
+    this.getActiveTrackIds(this.mediaContent), style);
+  this.currentMediaSession.editTracksInfo(request,
+    this.mediaCommandSuccessCallback.bind(this, "tracks changed"),
+    this.onError.bind(this));
+};
 
-  var playerScript = document.getElementById("stream_flash").getElementsByTagName("script")[1].innerHTML;
-  if(playerScript.length < 1)
+/**
+ * Add a subtitle file chosen by the user to the current media. The tracks
+ * of a media are fixed once loaded, a running playback is reloaded.
+ * @param {Object} track A text track read by Subtitles.readFile
+ */
+CastPlayer.prototype.addTextTrack = function(track) {
+  if( !this.mediaContent ) {
     return;
-
-  var regexp = /url: '(.*)(.avi)'/m;
-  var match = regexp.exec(playerScript);
-  if(match == null || match.length < 3)
+  }
+  if( !this.settings.relayMode && Subtitles.isInline(track) && track.source.length > Subtitles.MAX_INLINE_SIZE ) {
+    this.reportError('subtitles', new Error(track.label + ' has ' + track.source.length + ' characters'));
     return;
+  }
+  this.mediaContent.textTracks.push(track);
+  this.mediaContent.activeTextTrack = this.mediaContent.textTracks.length - 1;
 
-  var mediaUrl = match[1] + match[2];
-
-      
-    this.mediaContent = new Array();
-    this.mediaContent['title'] = "Unknown";
-    this.mediaContent['source'] = mediaUrl;
-    this.mediaContent['thumb'] = "";
-    this.mediaContent['subtitle'] = "";
-
-    this.onMediaSourceSearchSuccess();
-
+  if( this.hasActiveMedia() ) {
+    clearInterval(this.timer);
+    this.loadMedia(this.queue.currentIndex, this.currentMediaTime);
   }
+  this.notifyStateChange();
+};
 
- /**
- * End definition of resource search functions
+/**
+ * Switch to another source of the media. A running playback is
+ * reloaded with the new source at the current position.
+ * @param {Number} index An index in the sources of the media
  */
+CastPlayer.prototype.selectQuality = function(index) {
+  if( !this.mediaContent || index == this.mediaContent.selectedSource ) {
+    return;
+  }
 
-  window.CastPlayer = CastPlayer;
-})();
+  this.mediaContent.selectSource(index);
+  this.notifyStateChange();
 
-var CastPlayer = new CastPlayer();
\ No newline at end of file
+  ContentTypes.detect(this.mediaContent).then(function() {
+    if( this.hasActiveMedia() ) {
+      clearInterval(this.timer);
+      this.loadMedia(this.queue.currentIndex, this.currentMediaTime);
+    }
+  }.bind(this));
+};
+
+  window.CastPlayer = CastPlayer;
+})();
\ No newline at end of file
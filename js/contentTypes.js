@@ -0,0 +1,258 @@
+// Content type detection
+//
+// Works out the MIME type of a media URL which is passed to the receiver in
+// the load request, and tells which types the Default Media Receiver plays.
+
+
+(function(scope) {
+  'use strict';
+
+
+/**
+ * Content type used when nothing is known about a stream
+ */
+var DEFAULT_CONTENT_TYPE = 'video/mp4';
+
+/**
+ * Milliseconds to wait for the answer of a HEAD request
+ */
+var PROBE_TIMEOUT = 3000;
+
+/**
+ * Adaptive streaming manifest types
+ */
+var HLS_CONTENT_TYPE = 'application/x-mpegurl';
+var DASH_CONTENT_TYPE = 'application/dash+xml';
+
+/**
+ * MIME types by file extension
+ */
+var EXTENSION_TYPES = {
+  'mp4' : 'video/mp4',
+  'm4v' : 'video/mp4',
+  'webm' : 'video/webm',
+  'mkv' : 'video/x-matroska',
+  'avi' : 'video/x-msvideo',
+  'divx' : 'video/x-msvideo',
+  'flv' : 'video/x-flv',
+  'wmv' : 'video/x-ms-wmv',
+  'mov' : 'video/quicktime',
+  'ogv' : 'video/ogg',
+  'mp3' : 'audio/mpeg',
+  'm4a' : 'audio/mp4',
+  'aac' : 'audio/aac',
+  'oga' : 'audio/ogg',
+  'ogg' : 'audio/ogg',
+  'wav' : 'audio/wav',
+  'm3u8' : HLS_CONTENT_TYPE,
+  'mpd' : DASH_CONTENT_TYPE
+};
+
+/**
+ * MIME types by the type names of jwplayer playlist sources
+ */
+var JWPLAYER_TYPES = {
+  'mp4' : 'video/mp4',
+  'webm' : 'video/webm',
+  'flv' : 'video/x-flv',
+  'aac' : 'audio/aac',
+  'mp3' : 'audio/mpeg',
+  'vorbis' : 'audio/ogg',
+  'hls' : HLS_CONTENT_TYPE,
+  'dash' : DASH_CONTENT_TYPE
+};
+
+/**
+ * Aliases servers use for the manifest types
+ */
+var TYPE_ALIASES = {
+  'application/vnd.apple.mpegurl' : HLS_CONTENT_TYPE,
+  'audio/mpegurl' : HLS_CONTENT_TYPE,
+  'audio/x-mpegurl' : HLS_CONTENT_TYPE
+};
+
+/**
+ * Types the Default Media Receiver can play
+ */
+var SUPPORTED_TYPES = [
+  'video/mp4',
+  'video/webm',
+  'audio/mp4',
+  'audio/mpeg',
+  'audio/aac',
+  'audio/ogg',
+  'audio/wav',
+  HLS_CONTENT_TYPE,
+  DASH_CONTENT_TYPE
+];
+
+/**
+ * Types the Default Media Receiver is known not to play
+ */
+var UNSUPPORTED_TYPES = [
+  'video/x-msvideo',
+  'video/x-flv',
+  'video/x-ms-wmv',
+  'video/quicktime',
+  'video/ogg'
+];
+
+
+var ContentTypes = {
+
+  DEFAULT: DEFAULT_CONTENT_TYPE,
+  HLS: HLS_CONTENT_TYPE,
+  DASH: DASH_CONTENT_TYPE,
+
+  /**
+   * @param {string} type A MIME type possibly including parameters
+   * @return {string} The lower case MIME type without parameters, e.g. video/mp4
+   */
+  normalize: function(type) {
+    type = type ? type.split(';')[0].trim().toLowerCase() : '';
+    return TYPE_ALIASES[type] || type;
+  },
+
+  /**
+   * @param {string} type A MIME type
+   * @return {Boolean} true for HLS and DASH manifests
+   */
+  isAdaptive: function(type) {
+    type = ContentTypes.normalize(type);
+    return type == HLS_CONTENT_TYPE || type == DASH_CONTENT_TYPE;
+  },
+
+  /**
+   * @param {string} url A media URL
+   * @return {string} The MIME type derived from the file extension or null
+   */
+  fromUrl: function(url) {
+    var match = /\.(\w+)(?:[?#]|$)/.exec(new URL(url, window.location.href).pathname);
+    return match ? EXTENSION_TYPES[match[1].toLowerCase()] || null : null;
+  },
+
+  /**
+   * @param {string} type The type of a jwplayer playlist source, e.g. 'mp4'
+   * @return {string} The MIME type or null
+   */
+  fromJwType: function(type) {
+    return type ? JWPLAYER_TYPES[type.toLowerCase()] || null : null;
+  },
+
+  /**
+   * Asks the server for the Content-Type of a URL. Fails silently if the
+   * server does not allow cross-origin requests.
+   * @param {string} url A media URL
+   * @return {Promise} Resolved with the MIME type or null
+   */
+  probe: function(url) {
+    return new Promise(function(resolve) {
+      var xhr = new XMLHttpRequest();
+      xhr.timeout = PROBE_TIMEOUT;
+      xhr.onload = function() {
+        var type = ContentTypes.normalize(xhr.getResponseHeader('Content-Type'));
+        // servers answer with a generic type if they do not know better
+        resolve(xhr.status < 400 && type && type != 'application/octet-stream' ? type : null);
+      };
+      xhr.onerror = xhr.ontimeout = function() {
+        resolve(null);
+      };
+      xhr.open('HEAD', url, true);
+      xhr.send();
+    });
+  },
+
+  /**
+   * Tells whether an adaptive manifest describes a live stream. HLS media playlists
+   * of live streams have no #EXT-X-ENDLIST tag, DASH manifests are of type dynamic.
+   * @param {string} url The manifest URL
+   * @param {string} type The manifest content type
+   * @return {Promise} Resolved with true for a live stream
+   */
+  isLiveManifest: function(url, type) {
+    return ContentTypes.fetchText(url).then(function(manifest) {
+      if( manifest == null ) {
+        return false;
+      }
+      if( type == DASH_CONTENT_TYPE ) {
+        return /<MPD[^>]+type=["']dynamic["']/.test(manifest);
+      }
+
+      // a master playlist only lists the variant streams, the first one tells
+      var variant = /#EXT-X-STREAM-INF[^\n]*\n\s*([^#\s][^\n]*)/.exec(manifest);
+      if( variant ) {
+        return ContentTypes.isLiveManifest(new URL(variant[1].trim(), url).href, type);
+      }
+      return manifest.indexOf('#EXT-X-ENDLIST') < 0;
+    });
+  },
+
+  /**
+   * @param {string} url A URL
+   * @return {Promise} Resolved with the response text or null if the request failed
+   */
+  fetchText: function(url) {
+    return new Promise(function(resolve) {
+      var xhr = new XMLHttpRequest();
+      xhr.timeout = PROBE_TIMEOUT;
+      xhr.onload = function() {
+        resolve(xhr.status < 400 ? xhr.responseText : null);
+      };
+      xhr.onerror = xhr.ontimeout = function() {
+        resolve(null);
+      };
+      xhr.open('GET', url, true);
+      xhr.send();
+    });
+  },
+
+  /**
+   * Fills in the content type of a media descriptor from the extractor
+   * result, the file extension or a HEAD request, in this order. Adaptive
+   * manifests are checked for live streams. Alternative sources only get
+   * a type derived from the extension, they are probed once selected.
+   * @param {MediaDescriptor} descriptor A media descriptor
+   * @return {Promise} Resolved with the descriptor
+   */
+  detect: function(descriptor) {
+    descriptor.sources.forEach(function(source) {
+      source.contentType = ContentTypes.normalize(source.contentType) || ContentTypes.fromUrl(source.source) || '';
+    });
+
+    var type = ContentTypes.normalize(descriptor.contentType) || ContentTypes.fromUrl(descriptor.source);
+    var detected = type ? Promise.resolve(type) : ContentTypes.probe(descriptor.source);
+
+    return detected.then(function(type) {
+      descriptor.contentType = type || DEFAULT_CONTENT_TYPE;
+      descriptor.sources[descriptor.selectedSource].contentType = descriptor.contentType;
+      if( !ContentTypes.isAdaptive(descriptor.contentType) || descriptor.live != undefined ) {
+        return descriptor;
+      }
+
+      return ContentTypes.isLiveManifest(descriptor.source, descriptor.contentType).then(function(live) {
+        descriptor.live = live;
+        return descriptor;
+      });
+    });
+  },
+
+  /**
+   * @param {string} type A MIME type
+   * @return {Boolean} true if the Default Media Receiver plays the type, false if
+   *   it is known not to play it and undefined if unknown
+   */
+  isSupported: function(type) {
+    type = ContentTypes.normalize(type);
+    if( SUPPORTED_TYPES.indexOf(type) >= 0 ) {
+      return true;
+    }
+    if( UNSUPPORTED_TYPES.indexOf(type) >= 0 ) {
+      return false;
+    }
+    return undefined;
+  }
+};
+
+
+  scope.ContentTypes = ContentTypes;
+})(window.MovieCast || window);
@@ -0,0 +1,98 @@
+// Diagnostics log
+//
+// The errors classified by CastErrors, kept in the extension storage so they
+// can be exported from the options page when reporting a broken provider.
+
+
+(function() {
+  'use strict';
+
+
+/**
+ * Number of entries kept, the oldest ones are dropped
+ */
+var MAX_ENTRIES = 200;
+
+/**
+ * Storage key of the entries
+ */
+var STORAGE_KEY = 'diagnostics';
+
+
+var DiagnosticsLog = {
+
+  // @type {Promise} the last pending write, writes are chained so none is lost
+  pending: Promise.resolve(),
+
+  /**
+   * @return {Promise} Resolved with the entries, oldest first
+   */
+  load: function() {
+    return new Promise(function(resolve) {
+      chrome.storage.local.get(STORAGE_KEY, function(items) {
+        resolve(items[STORAGE_KEY] || []);
+      });
+    });
+  },
+
+  /**
+   * @param {Object} entry An entry created by CastErrors.classify
+   * @return {Promise} Resolved once stored
+   */
+  add: function(entry) {
+    DiagnosticsLog.pending = DiagnosticsLog.pending.then(DiagnosticsLog.load).then(function(entries) {
+      entries.push(entry);
+      return DiagnosticsLog.store(entries.slice(-MAX_ENTRIES));
+    });
+    return DiagnosticsLog.pending;
+  },
+
+  /**
+   * @return {Promise} Resolved once all entries are removed
+   */
+  clear: function() {
+    DiagnosticsLog.pending = DiagnosticsLog.pending.then(function() {
+      return DiagnosticsLog.store([]);
+    });
+    return DiagnosticsLog.pending;
+  },
+
+  /**
+   * @param {Array} entries The entries to keep
+   * @return {Promise} Resolved once stored
+   */
+  store: function(entries) {
+    var items = {};
+    items[STORAGE_KEY] = entries;
+
+    return new Promise(function(resolve) {
+      chrome.storage.local.set(items, function() {
+        if( chrome.runtime.lastError ) {
+          console.log("diagnostics not stored: " + chrome.runtime.lastError.message);
+        }
+        resolve();
+      });
+    });
+  },
+
+  /**
+   * @param {Array} entries The entries to export
+   * @return {string} A JSON report of the entries and the environment
+   */
+  toReport: function(entries) {
+    return JSON.stringify({
+      extension: chrome.runtime.getManifest().version,
+      userAgent: navigator.userAgent,
+      exported: new Date().toISOString(),
+      entries: entries.map(function(entry) {
+        var copy = JSON.parse(JSON.stringify(entry));
+        copy.time = new Date(entry.time).toISOString();
+        return copy;
+      })
+    }, null, 2);
+  }
+};
+
+
+  window.DiagnosticsLog = DiagnosticsLog;
+})();
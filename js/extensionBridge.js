@@ -0,0 +1,98 @@
+// Extension bridge
+//
+// The extractors run in the page and have no access to the extension APIs.
+// They send requests to the content script (inject.js) with window.postMessage,
+// the content script answers with a response carrying the same id. The
+// content script sends commands the other way, e.g. to search again.
+
+
+(function(scope) {
+  'use strict';
+
+
+/**
+ * Milliseconds after which a request without response fails
+ */
+var REQUEST_TIMEOUT = 10000;
+
+
+var ExtensionBridge = {
+
+  // @type {Object} callbacks of the requests waiting for a response by id
+  pending: {},
+
+  // @type {Number} id of the next request
+  nextId: 1,
+
+  // @type {Object} handlers of the commands of the content script by type
+  handlers: {},
+
+  /**
+   * @param {string} type The request type handled by the content script, e.g. 'resume.get'
+   * @param {Object} data The request payload
+   * @return {Promise} Resolved with the result of the request, rejected if the
+   *   content script does not answer in time
+   */
+  request: function(type, data) {
+    return new Promise(function(resolve, reject) {
+      var id = ExtensionBridge.nextId++;
+      ExtensionBridge.pending[id] = { resolve: resolve, reject: reject };
+      setTimeout(function() {
+        if( ExtensionBridge.pending[id] ) {
+          delete ExtensionBridge.pending[id];
+          reject(new Error('No answer to ' + type));
+        }
+      }, REQUEST_TIMEOUT);
+      window.postMessage({ streamcast: 'request', id: id, type: type, data: data }, window.location.origin);
+    });
+  },
+
+  /**
+   * @param {string} type The command type sent by the content script, e.g. 'search'
+   * @param {function} handler Called with the command payload
+   */
+  on: function(type, handler) {
+    ExtensionBridge.handlers[type] = handler;
+  },
+
+  /**
+   * Resolves pending requests with the responses of the content script
+   * and runs its commands
+   * @param {MessageEvent} event A window message
+   */
+  onMessage: function(event) {
+    var message = event.data;
+    if( event.source != window || !message ) {
+      return;
+    }
+
+    if( message.streamcast == 'command' ) {
+      if( ExtensionBridge.handlers[message.type] ) {
+        ExtensionBridge.handlers[message.type](message.data);
+      }
+      return;
+    }
+    if( message.streamcast != 'response' ) {
+      return;
+    }
+
+    var callbacks = ExtensionBridge.pending[message.id];
+    if( !callbacks ) {
+      return;
+    }
+    delete ExtensionBridge.pending[message.id];
+
+    if( message.error ) {
+      callbacks.reject(new Error(message.error));
+    }
+    else {
+      callbacks.resolve(message.result);
+    }
+  }
+};
+
+window.addEventListener('message', ExtensionBridge.onMessage);
+
+
+  scope.ExtensionBridge = ExtensionBridge;
+})(window.MovieCast || window);
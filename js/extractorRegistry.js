@@ -0,0 +1,335 @@
+// Source extractor registry
+//
+// Every streaming provider is handled by an extractor registered here. The
+// player asks the registry for the extractors matching the current host and
+// runs them until one of them returns a media descriptor.
+
+
+(function(scope) {
+  'use strict';
+
+var ContentTypes = scope.ContentTypes;
+var MediaDescriptor = scope.MediaDescriptor;
+var Retry = scope.Retry;
+var Subtitles = scope.Subtitles;
+
+
+/**
+ * Registry of source extractors
+ * An extractor is a plain object with the following members:
+ *  - name: unique name of the extractor
+ *  - hosts: host names handled by the extractor, subdomains match as well.
+ *    '*' marks a fallback extractor which handles any host
+ *  - priority: extractors with a higher priority are tried first
+ *  - detect(): returns true as soon as the page exposes what the extractor reads
+ *  - extract(signal): returns a Promise resolved with a MediaDescriptor, or an Array of
+ *    them for pages exposing a playlist. Extractors waiting for the page stop when
+ *    the AbortSignal is aborted, e.g. because the user searches again.
+ * Descriptors without a content type get one detected and their SRT subtitles
+ * converted before the search resolves.
+ */
+var SourceExtractorRegistry = function() {
+  // @type {Array} registered extractors ordered by priority
+  this.extractors = [];
+
+  // @type {Array} names of the extractors turned off in the options
+  this.disabled = [];
+};
+
+/**
+ * Adds an extractor to the registry
+ * @param {Object} extractor An extractor definition
+ */
+SourceExtractorRegistry.prototype.register = function(extractor) {
+  if( !extractor.name || !extractor.hosts || typeof extractor.detect != 'function' ||
+      typeof extractor.extract != 'function' ) {
+    throw new Error('Invalid source extractor: ' + extractor.name);
+  }
+
+  if( extractor.priority == undefined ) {
+    extractor.priority = 0;
+  }
+
+  this.extractors.push(extractor);
+  this.extractors.sort(function(a, b) {
+    return b.priority - a.priority;
+  });
+};
+
+/**
+ * Removes an extractor from the registry
+ * @param {string} name The name of the extractor
+ */
+SourceExtractorRegistry.prototype.unregister = function(name) {
+  this.extractors = this.extractors.filter(function(extractor) {
+    return extractor.name != name;
+  });
+};
+
+/**
+ * @param {Array} names The names of the extractors not to run
+ */
+SourceExtractorRegistry.prototype.setDisabled = function(names) {
+  this.disabled = names;
+};
+
+/**
+ * @param {Object} extractor An extractor definition
+ * @return {Boolean} true if the extractor handles any host
+ */
+SourceExtractorRegistry.prototype.isFallback = function(extractor) {
+  return extractor.hosts.indexOf('*') >= 0;
+};
+
+/**
+ * @param {string} host A host name as found in window.location.host
+ * @return {Array} The enabled extractors handling the host, ordered by priority
+ */
+SourceExtractorRegistry.prototype.getExtractorsForHost = function(host) {
+  host = host.toLowerCase().split(':')[0];
+  var disabled = this.disabled;
+
+  return this.extractors.filter(function(extractor) {
+    return disabled.indexOf(extractor.name) < 0 && extractor.hosts.some(function(pattern) {
+      return pattern == '*' || host == pattern || host.slice(-pattern.length - 1) == '.' + pattern;
+    });
+  });
+};
+
+/**
+ * @param {string} host A host name
+ * @return {Boolean} true if a site specific extractor handles the host
+ */
+SourceExtractorRegistry.prototype.handlesHost = function(host) {
+  return this.getExtractorsForHost(host).some(function(extractor) {
+    return !this.isFallback(extractor);
+  }, this);
+};
+
+/**
+ * Runs extractors one after another until one of them finds the media
+ * @param {Array} extractors The extractors to run
+ * @param {AbortSignal} signal Cancels the run
+ * @return {Promise} Resolved with the descriptors and the extractor which found them,
+ *   rejected if none found the media
+ */
+SourceExtractorRegistry.prototype.runExtractors = function(extractors, signal) {
+  var runExtractor = function(index) {
+    if( signal.aborted ) {
+      return Promise.reject(Retry.cancelledError());
+    }
+    if( index >= extractors.length ) {
+      return Promise.reject(new Error('no extractor found the media'));
+    }
+
+    var extractor = extractors[index];
+    var detected = false;
+    try {
+      detected = extractor.detect();
+    }
+    catch(e) {
+      console.log('extractor ' + extractor.name + ' detect failed: ' + e);
+    }
+    if( !detected ) {
+      return runExtractor(index + 1);
+    }
+
+    return new Promise(function(extracted) {
+      extracted(extractor.extract(signal));
+    }).then(function(descriptors) {
+      descriptors = [].concat(descriptors);
+      if( !descriptors.length || descriptors.some(function(descriptor) {
+        return !(descriptor instanceof MediaDescriptor);
+      }) ) {
+        throw new Error('no media descriptor');
+      }
+      return { extractor: extractor, descriptors: descriptors };
+    }).catch(function(e) {
+      if( Retry.isCancelled(e) ) {
+        throw e;
+      }
+      console.log('extractor ' + extractor.name + ' failed: ' + e);
+      return runExtractor(index + 1);
+    });
+  };
+
+  return runExtractor(0);
+};
+
+/**
+ * Runs the site specific extractors matching the host until one of them finds
+ * the media. They are all tried again after a growing delay as long as none does,
+ * see Retry. Fallback extractors only run once all attempts of the site specific
+ * ones failed.
+ * @param {string} host A host name
+ * @param {Object} options The options maxAttempts, initialDelay, timeout, signal and
+ *   onAttempt of Retry.run
+ * @return {Promise} Resolved with an Array of MediaDescriptor objects in playlist order,
+ *   rejected with an AbortError when cancelled through the signal
+ */
+SourceExtractorRegistry.prototype.search = function(host, options) {
+  var matching = this.getExtractorsForHost(host);
+  var extractors = matching.filter(function(extractor) {
+    return !this.isFallback(extractor);
+  }, this);
+  var fallbacks = matching.filter(this.isFallback, this);
+  var signal = options.signal || new AbortController().signal;
+  var registry = this;
+
+  var search = extractors.length ? Retry.run(function(attempt, attemptSignal) {
+    return registry.runExtractors(extractors, attemptSignal);
+  }, options) : Promise.reject(new Error('no site specific extractor'));
+
+  return search.catch(function(e) {
+    if( Retry.isCancelled(e) || !fallbacks.length ) {
+      throw e;
+    }
+    return registry.runExtractors(fallbacks, signal);
+  }).then(function(found) {
+    return Promise.all(found.descriptors.map(function(descriptor) {
+      descriptor.extractor = found.extractor.name;
+      descriptor.addPageHeaders(window.location.href);
+      return ContentTypes.detect(descriptor).then(Subtitles.prepare);
+    }));
+  }, function(e) {
+    if( Retry.isCancelled(e) ) {
+      throw e;
+    }
+    console.log('search failed: ' + e.message);
+    throw new Error('No resource found for ' + host);
+  });
+};
+
+
+/**
+ * Helper functions shared by the extractors
+ */
+var ExtractorUtils = {
+
+  /**
+   * @param {string} url A possibly relative URL
+   * @return {string} The URL resolved against the current page
+   */
+  absoluteUrl: function(url) {
+    return new URL(url, window.location.href).href;
+  },
+
+  /**
+   * @return {Array} The jwplayer playlist of the page or null if there is none yet
+   */
+  getJwPlaylist: function() {
+    if( typeof jwplayer === "undefined" || jwplayer().getPlaylist == undefined ) {
+      return null;
+    }
+    var playlist = jwplayer().getPlaylist();
+    return playlist && playlist.length ? playlist : null;
+  },
+
+  /**
+   * @param {Object} item A jwplayer playlist entry
+   * @return {Array} The qualities of the entry as MediaDescriptor sources
+   */
+  getJwSources: function(item) {
+    var sources = item.sources && item.sources.length ? item.sources : [item];
+    return sources.map(function(source) {
+      return {
+        source: ExtractorUtils.absoluteUrl(source.file),
+        label: source.label || '',
+        height: ExtractorUtils.parseHeight(source.label),
+        contentType: ContentTypes.fromJwType(source.type)
+      };
+    });
+  },
+
+  /**
+   * @param {Object} item A jwplayer playlist entry
+   * @return {Array} The subtitle tracks of the entry
+   */
+  getJwTextTracks: function(item) {
+    return (item.tracks || []).filter(function(track) {
+      return track.file && (track.kind == 'captions' || track.kind == 'subtitles');
+    }).map(function(track) {
+      return Subtitles.createTrack({
+        source: ExtractorUtils.absoluteUrl(track.file),
+        label: track.label,
+        kind: track.kind
+      });
+    });
+  },
+
+  /**
+   * @param {Element} video A <video> element
+   * @return {Array} The subtitle tracks of the <track> children of the element
+   */
+  getVideoTextTracks: function(video) {
+    var tracks = video.querySelectorAll('track[src]');
+    return Array.prototype.filter.call(tracks, function(track) {
+      return !track.kind || track.kind == 'captions' || track.kind == 'subtitles';
+    }).map(function(track) {
+      return Subtitles.createTrack({
+        source: ExtractorUtils.absoluteUrl(track.getAttribute('src')),
+        label: track.label,
+        language: track.srclang,
+        kind: track.kind
+      });
+    });
+  },
+
+  /**
+   * @param {string} label A quality label, e.g. '720p' or '1080'
+   * @return {Number} The vertical resolution or 0 if unknown
+   */
+  parseHeight: function(label) {
+    var match = /(\d{3,4})p?/.exec(label || '');
+    return match ? parseInt(match[1]) : 0;
+  },
+
+  /**
+   * Runs a regular expression against the inline scripts of the page
+   * @param {RegExp} regexp A regular expression with at least one group
+   * @return {string} The first group of the first match or null
+   */
+  findInScripts: function(regexp) {
+    var scripts = document.getElementsByTagName("script");
+    for( var i = 0; i < scripts.length; i++ ) {
+      var match = regexp.exec(scripts[i].innerHTML);
+      if( match != null ) {
+        return match[1];
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Looks for URLs the page requested over the network, e.g. manifests
+   * loaded by media source extension players
+   * @param {RegExp} regexp A regular expression matching the wanted URLs
+   * @param {Window} opt_window The window whose requests are searched, defaults to the page
+   * @return {Array} The matching URLs, most recent first
+   */
+  findNetworkUrls: function(regexp, opt_window) {
+    var entries = (opt_window || window).performance.getEntriesByType('resource');
+    var urls = [];
+    for( var i = entries.length - 1; i >= 0; i-- ) {
+      if( regexp.test(entries[i].name) && urls.indexOf(entries[i].name) < 0 ) {
+        urls.push(entries[i].name);
+      }
+    }
+    return urls;
+  },
+
+  /**
+   * @param {string} name The property or name of a meta tag, e.g. og:title
+   * @return {string} The content of the meta tag or null
+   */
+  getMetaContent: function(name) {
+    var meta = document.querySelector('meta[property="' + name + '"], meta[name="' + name + '"]');
+    return meta ? meta.getAttribute('content') : null;
+  }
+};
+
+
+  scope.SourceExtractorRegistry = SourceExtractorRegistry;
+  scope.ExtractorUtils = ExtractorUtils;
+  scope.extractorRegistry = new SourceExtractorRegistry();
+})(window.MovieCast || window);
@@ -0,0 +1,51 @@
+// http://bitshare.com/ resources
+
+
+(function(scope) {
+  'use strict';
+
+var MediaDescriptor = scope.MediaDescriptor;
+var extractorRegistry = scope.extractorRegistry;
+
+
+/**
+ * The stream URL is part of the player setup script inside #stream_flash
+ */
+var getPlayerScript = function() {
+  var streamFlashElement = document.getElementById("stream_flash");
+  if (streamFlashElement == null) {
+    return null;
+  }
+
+  var scriptElements = streamFlashElement.getElementsByTagName("script");
+  if (scriptElements.length < 2 || scriptElements[1].innerHTML.length < 1) {
+    return null;
+  }
+
+  return scriptElements[1].innerHTML;
+};
+
+
+extractorRegistry.register({
+  name: 'bitshare',
+  hosts: ['bitshare.com'],
+  priority: 10,
+
+  detect: function() {
+    return getPlayerScript() != null;
+  },
+
+  extract: function() {
+    var regexp = /url: '(.*)(.avi)'/m;
+    var match = regexp.exec(getPlayerScript());
+    if (match == null || match.length < 3) {
+      return Promise.reject(new Error('no stream url in player script'));
+    }
+
+    return Promise.resolve(new MediaDescriptor({
+      source: match[1] + match[2]
+    }));
+  }
+});
+
+})(window.MovieCast || window);
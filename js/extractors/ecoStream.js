@@ -0,0 +1,100 @@
+// http://www.ecostream.tv/ resources
+
+
+(function(scope) {
+  'use strict';
+
+var ExtractorUtils = scope.ExtractorUtils;
+var MediaDescriptor = scope.MediaDescriptor;
+var extractorRegistry = scope.extractorRegistry;
+
+
+/**
+ * Depending on the page version the stream is set up by jwplayer, a flash
+ * player with flashvars or an inline player script
+ */
+var FILE_IN_SCRIPT = /["']?(?:file|url)["']?\s*[:=]\s*["']([^"']+\.(?:mp4|flv|m4v|webm)[^"']*)["']/;
+var IMAGE_IN_SCRIPT = /["']?image["']?\s*[:=]\s*["']([^"']+)["']/;
+
+
+/**
+ * @return {string} The stream URL from the flashvars of the embedded flash player
+ */
+var findSourceInFlashVars = function() {
+  var flashVars = document.querySelector('embed[flashvars], param[name="flashvars"]');
+  if (flashVars == null) {
+    return null;
+  }
+
+  var value = flashVars.getAttribute('flashvars') || flashVars.getAttribute('value');
+  var match = /(?:^|&)file=([^&]+)/.exec(value);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+/**
+ * @return {Object} The stream URL and poster found on the page
+ */
+var findMedia = function() {
+  var playlist = ExtractorUtils.getJwPlaylist();
+  if (playlist != null) {
+    return {
+      sources: ExtractorUtils.getJwSources(playlist[0]),
+      textTracks: ExtractorUtils.getJwTextTracks(playlist[0]),
+      thumb: playlist[0].image,
+      title: playlist[0].title
+    };
+  }
+
+  var video = document.querySelector('video[src], video source[src]');
+  if (video != null) {
+    var poster = video.tagName == 'SOURCE' ? video.parentNode.poster : video.poster;
+    return {
+      source: video.getAttribute('src'),
+      thumb: poster,
+      contentType: video.getAttribute('type'),
+      textTracks: ExtractorUtils.getVideoTextTracks(video.tagName == 'SOURCE' ? video.parentNode : video)
+    };
+  }
+
+  var source = findSourceInFlashVars() || ExtractorUtils.findInScripts(FILE_IN_SCRIPT);
+  if (source != null) {
+    return { source: source, thumb: ExtractorUtils.findInScripts(IMAGE_IN_SCRIPT) };
+  }
+
+  return null;
+};
+
+/**
+ * @return {string} The video title without the site name
+ */
+var findTitle = function() {
+  var title = ExtractorUtils.getMetaContent('og:title') || document.title;
+  return title.replace(/\s*[-|]?\s*ecostream(\.tv)?\s*[-|]?\s*/i, ' ').trim();
+};
+
+
+extractorRegistry.register({
+  name: 'ecostream',
+  hosts: ['ecostream.tv'],
+  priority: 10,
+
+  detect: function() {
+    return findMedia() != null;
+  },
+
+  extract: function() {
+    var media = findMedia();
+    var thumb = media.thumb || ExtractorUtils.getMetaContent('og:image');
+
+    return Promise.resolve(new MediaDescriptor({
+      source: media.source ? ExtractorUtils.absoluteUrl(media.source) : '',
+      sources: media.sources,
+      title: media.title || findTitle(),
+      thumb: thumb ? ExtractorUtils.absoluteUrl(thumb) : '',
+      contentType: media.contentType,
+      textTracks: media.textTracks
+    }));
+  }
+});
+
+})(window.MovieCast || window);
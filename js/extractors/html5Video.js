@@ -0,0 +1,324 @@
+// Generic <video> resources on any page
+//
+// Fallback extractor used when no site specific extractor found a stream. It
+// scans the page and its same-origin iframes for <video> elements and keeps
+// watching the DOM for players added later on. Players streaming through media
+// source extensions only expose a blob: URL, for them the HLS and DASH manifests
+// requested by the page are used.
+
+
+(function(scope) {
+  'use strict';
+
+var ContentTypes = scope.ContentTypes;
+var ExtractorUtils = scope.ExtractorUtils;
+var MediaDescriptor = scope.MediaDescriptor;
+var Retry = scope.Retry;
+var extractorRegistry = scope.extractorRegistry;
+
+
+/**
+ * Milliseconds to wait for a video element to show up
+ */
+var OBSERVE_TIMEOUT = 60000;
+
+/**
+ * Milliseconds to wait after a DOM mutation before the page is scanned again
+ */
+var SCAN_DELAY = 500;
+
+/**
+ * Preference of content types, higher is better
+ */
+var TYPE_SCORES = {
+  'application/x-mpegurl' : 3,
+  'application/dash+xml' : 3,
+  'video/mp4' : 2,
+  'video/webm' : 1
+};
+
+/**
+ * Network requests of adaptive streaming manifests
+ */
+var MANIFEST_URL = /\.(m3u8|mpd)(?:[?#]|$)/i;
+
+
+/**
+ * @param {Document} doc A document
+ * @return {Array} The document and the documents of its same-origin iframes
+ */
+var getDocuments = function(doc) {
+  var documents = [doc];
+  var frames = doc.getElementsByTagName('iframe');
+
+  for (var i = 0; i < frames.length; i++) {
+    var frameDocument = null;
+    try {
+      frameDocument = frames[i].contentDocument;
+    }
+    catch(e) {
+      // cross-origin frame
+    }
+    if (frameDocument != null) {
+      documents = documents.concat(getDocuments(frameDocument));
+    }
+  }
+
+  return documents;
+};
+
+/**
+ * @param {string} type A MIME type, e.g. video/mp4
+ * @param {string} url A media URL
+ * @return {Number} The preference of the content type, negative if not castable
+ */
+var getTypeScore = function(type, url) {
+  type = ContentTypes.normalize(type) || ContentTypes.fromUrl(url);
+  if (ContentTypes.isSupported(type) === false) {
+    return -1;
+  }
+  return TYPE_SCORES[type] || 0;
+};
+
+/**
+ * @param {Element} source A <source> element
+ * @return {Number} The vertical resolution from attributes like res="720" or label="1080p"
+ */
+var getSourceHeight = function(source) {
+  var attributes = ['res', 'data-res', 'size', 'label', 'title'];
+  for (var i = 0; i < attributes.length; i++) {
+    var height = ExtractorUtils.parseHeight(source.getAttribute(attributes[i]));
+    if (height) {
+      return height;
+    }
+  }
+  return 0;
+};
+
+/**
+ * Collects the castable URLs of a video element
+ * @param {Element} video A <video> element
+ * @return {Array} The candidates of the element
+ */
+var getCandidates = function(video) {
+  var candidates = [];
+  var area = video.clientWidth * video.clientHeight;
+
+  var addCandidate = function(url, type, height, label) {
+    // media source extension streams and inline data can not be fetched by the receiver
+    if (!url || url.indexOf('blob:') == 0 || url.indexOf('data:') == 0) {
+      return;
+    }
+    candidates.push({
+      url: ExtractorUtils.absoluteUrl(url),
+      type: type || '',
+      label: label || '',
+      height: height,
+      typeScore: getTypeScore(type, url),
+      area: area,
+      video: video
+    });
+  };
+
+  addCandidate(video.currentSrc, '', video.videoHeight, '');
+  addCandidate(video.getAttribute('src'), '', video.videoHeight, '');
+
+  var sources = video.getElementsByTagName('source');
+  for (var i = 0; i < sources.length; i++) {
+    addCandidate(sources[i].getAttribute('src'), sources[i].getAttribute('type'),
+      getSourceHeight(sources[i]), sources[i].getAttribute('label') || sources[i].getAttribute('title'));
+  }
+
+  return candidates;
+};
+
+/**
+ * Collects the manifests requested by a document playing a video
+ * @param {Document} doc A document with a <video> element
+ * @param {Element} video The video element, provides the poster and size
+ * @return {Array} The candidates of the document
+ */
+var getManifestCandidates = function(doc, video) {
+  return ExtractorUtils.findNetworkUrls(MANIFEST_URL, doc.defaultView).map(function(url) {
+    var type = ContentTypes.fromUrl(url);
+    return {
+      url: url,
+      type: type,
+      label: '',
+      height: 0,
+      typeScore: getTypeScore(type, url),
+      area: video.clientWidth * video.clientHeight,
+      video: video
+    };
+  });
+};
+
+/**
+ * @return {Array} The candidates of all videos on the page, the best first
+ */
+var findCandidates = function() {
+  var candidates = [];
+  var documents = getDocuments(document);
+
+  for (var i = 0; i < documents.length; i++) {
+    var videos = documents[i].getElementsByTagName('video');
+    for (var j = 0; j < videos.length; j++) {
+      candidates = candidates.concat(getCandidates(videos[j]));
+    }
+    if (videos.length) {
+      candidates = candidates.concat(getManifestCandidates(documents[i], videos[0]));
+    }
+  }
+
+  candidates.sort(function(a, b) {
+    return (b.height - a.height) || (b.typeScore - a.typeScore) || (b.area - a.area);
+  });
+
+  return candidates;
+};
+
+/**
+ * Turns the best candidate of a video into a descriptor, the other
+ * castable URLs of the video become its alternative sources
+ * @param {Array} candidates The candidates of one video, the best first
+ * @return {MediaDescriptor} The descriptor of the video
+ */
+var toDescriptor = function(candidates) {
+  var best = candidates[0];
+  var urls = [];
+  var sources = [];
+
+  candidates.forEach(function(candidate) {
+    var castable = candidate == best || candidate.typeScore >= 0;
+    if (!castable || urls.indexOf(candidate.url) >= 0) {
+      return;
+    }
+    urls.push(candidate.url);
+    sources.push({
+      source: candidate.url,
+      label: candidate.label || (candidate.height ? candidate.height + 'p' : ''),
+      height: candidate.height,
+      contentType: candidate.type
+    });
+  });
+
+  return new MediaDescriptor({
+    source: best.url,
+    sources: sources.length ? sources : null,
+    title: best.video.title || best.video.getAttribute('aria-label') || document.title,
+    thumb: best.video.poster,
+    textTracks: ExtractorUtils.getVideoTextTracks(best.video)
+  });
+};
+
+/**
+ * @param {Array} candidates The candidates found on the page, the best first
+ * @return {Array} A descriptor per video, the video with the best candidate first
+ */
+var toDescriptors = function(candidates) {
+  var videos = [];
+  candidates.forEach(function(candidate) {
+    if (videos.indexOf(candidate.video) < 0) {
+      videos.push(candidate.video);
+    }
+  });
+
+  return videos.map(function(video) {
+    return toDescriptor(candidates.filter(function(candidate) {
+      return candidate.video == video;
+    }));
+  });
+};
+
+/**
+ * Waits for a video element added to the page or one of its same-origin iframes
+ * @param {AbortSignal} signal Stops waiting
+ * @return {Promise} Resolved with the candidates, the best first
+ */
+var observeDocuments = function(signal) {
+  return new Promise(function(resolve, reject) {
+    var observers = [];
+    var observedDocuments = [];
+    var scanTimer = null;
+
+    var disconnect = function() {
+      observers.forEach(function(observer) {
+        observer.disconnect();
+      });
+      clearTimeout(scanTimer);
+      clearTimeout(timeout);
+      signal.removeEventListener('abort', onAbort);
+    };
+
+    var onAbort = function() {
+      disconnect();
+      reject(Retry.cancelledError());
+    };
+
+    var observe = function() {
+      getDocuments(document).forEach(function(doc) {
+        if (observedDocuments.indexOf(doc) >= 0) {
+          return;
+        }
+        var observer = new MutationObserver(onMutation);
+        observer.observe(doc.documentElement, {
+          childList: true,
+          subtree: true,
+          attributes: true,
+          attributeFilter: ['src']
+        });
+        observers.push(observer);
+        observedDocuments.push(doc);
+      });
+    };
+
+    var scan = function() {
+      scanTimer = null;
+      var candidates = findCandidates();
+      if (candidates.length) {
+        disconnect();
+        resolve(candidates);
+      }
+      else {
+        // new iframes may have been added
+        observe();
+      }
+    };
+
+    var onMutation = function() {
+      if (scanTimer == null) {
+        scanTimer = setTimeout(scan, SCAN_DELAY);
+      }
+    };
+
+    var timeout = setTimeout(function() {
+      disconnect();
+      reject(new Error('no video element found'));
+    }, OBSERVE_TIMEOUT);
+
+    signal.addEventListener('abort', onAbort);
+    observe();
+  });
+};
+
+
+extractorRegistry.register({
+  name: 'html5video',
+  hosts: ['*'],
+  priority: 0,
+
+  detect: function() {
+    return true;
+  },
+
+  extract: function(signal) {
+    var candidates = findCandidates();
+    if (candidates.length) {
+      return Promise.resolve(toDescriptors(candidates));
+    }
+
+    return observeDocuments(signal).then(toDescriptors);
+  }
+});
+
+})(window.MovieCast || window);
@@ -0,0 +1,101 @@
+// Extractors of the site rules created by the user, see js/siteRules.js
+
+
+(function(scope) {
+  'use strict';
+
+var ExtractorUtils = scope.ExtractorUtils;
+var MediaDescriptor = scope.MediaDescriptor;
+var extractorRegistry = scope.extractorRegistry;
+
+
+/**
+ * Rules come before the built-in extractors, users add them to fix a site
+ */
+var RULE_PRIORITY = 20;
+
+/**
+ * Prefix of the extractor names of the rules
+ */
+var NAME_PREFIX = 'rule:';
+
+
+/**
+ * @param {string} selector A CSS selector
+ * @return {string} The content of the matching meta tag, the src of an image
+ *   or the text of any other element, null if nothing matches
+ */
+var readElement = function(selector) {
+  var element = selector ? document.querySelector(selector) : null;
+  if( element == null ) {
+    return null;
+  }
+  if( element.tagName == 'META' ) {
+    return element.getAttribute('content');
+  }
+  if( element.tagName == 'IMG' ) {
+    return element.getAttribute('src');
+  }
+  return element.textContent.trim();
+};
+
+
+var SiteRuleExtractor = {
+
+  /**
+   * @param {Object} rule A valid site rule
+   * @return {Object} An extractor definition for the registry
+   */
+  create: function(rule) {
+    var findSource = function() {
+      if( rule.sourceSelector ) {
+        var element = document.querySelector(rule.sourceSelector);
+        var source = element && element.getAttribute(rule.sourceAttribute || 'src');
+        if( source ) {
+          return source;
+        }
+      }
+      return rule.sourcePattern ? ExtractorUtils.findInScripts(new RegExp(rule.sourcePattern)) : null;
+    };
+
+    return {
+      name: NAME_PREFIX + rule.name,
+      hosts: rule.hosts,
+      priority: RULE_PRIORITY,
+
+      detect: function() {
+        return findSource() != null;
+      },
+
+      extract: function() {
+        var thumb = readElement(rule.thumbSelector);
+        return Promise.resolve(new MediaDescriptor({
+          source: ExtractorUtils.absoluteUrl(findSource()),
+          title: readElement(rule.titleSelector) || ExtractorUtils.getMetaContent('og:title') || document.title,
+          thumb: thumb ? ExtractorUtils.absoluteUrl(thumb) : ''
+        }));
+      }
+    };
+  },
+
+  /**
+   * Replaces the extractors of the rules registered before, the rules may have changed
+   * since the last search
+   * @param {Array} rules The site rules
+   */
+  registerAll: function(rules) {
+    extractorRegistry.extractors.filter(function(extractor) {
+      return extractor.name.indexOf(NAME_PREFIX) == 0;
+    }).forEach(function(extractor) {
+      extractorRegistry.unregister(extractor.name);
+    });
+
+    rules.forEach(function(rule) {
+      extractorRegistry.register(SiteRuleExtractor.create(rule));
+    });
+  }
+};
+
+
+  scope.SiteRuleExtractor = SiteRuleExtractor;
+})(window.MovieCast || window);
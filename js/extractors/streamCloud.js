@@ -0,0 +1,56 @@
+// http://streamcloud.eu/ resources
+
+
+(function(scope) {
+  'use strict';
+
+var ExtractorUtils = scope.ExtractorUtils;
+var MediaDescriptor = scope.MediaDescriptor;
+var extractorRegistry = scope.extractorRegistry;
+
+
+/**
+ * Reads the title from the StreamCloud page header in case the
+ * playlist entry has none
+ */
+var grepTitleFromStreamCloudPage = function() {
+  var page = document.getElementById("page");
+  if (page == undefined) {
+    return undefined;
+  }
+  var pageHeader = page.getElementsByClassName("header page");
+  if (!pageHeader.length) {
+    return undefined;
+  }
+  return pageHeader[0].firstElementChild.textContent;
+};
+
+
+extractorRegistry.register({
+  name: 'streamcloud',
+  hosts: ['streamcloud.eu'],
+  priority: 10,
+
+  /**
+   * The stream is known once jwplayer has been set up with a playlist
+   */
+  detect: function() {
+    return ExtractorUtils.getJwPlaylist() != null;
+  },
+
+  /**
+   * Reads all entries of the jwplayer playlist with their qualities
+   */
+  extract: function() {
+    return Promise.resolve(ExtractorUtils.getJwPlaylist().map(function(media) {
+      return new MediaDescriptor({
+        sources: ExtractorUtils.getJwSources(media),
+        textTracks: ExtractorUtils.getJwTextTracks(media),
+        title: media.title != undefined ? media.title + "" : grepTitleFromStreamCloudPage(),
+        thumb: media.image
+      });
+    }));
+  }
+});
+
+})(window.MovieCast || window);
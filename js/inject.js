@@ -25,25 +25,80 @@ function loadTextResource(url, onSuccessFunction) {
  xhr.send();
 }
 
+// the overlay rendering the Cast session owned by the background page
+var playerOverlay = null;
+
 function onPlayerHtmlSuccess(responseText) {
 	var castVideoPlayerContentHtml = document.createElement('div');
 	castVideoPlayerContentHtml.innerHTML = responseText;
 
 	(document.body||document.documentElement).appendChild(castVideoPlayerContentHtml);
 
-	// now append the scripts
+	playerOverlay = new PlayerOverlay(new PlayerClient('overlay'));
+
+	// now append the scripts searching the media of the page
 	appendPlayerScripts();
 }
 
 
+// scripts injected into the page, in execution order
+var playerScripts = [
+	'js/pageNamespace.js',
+	'js/extensionBridge.js',
+	'js/contentTypes.js',
+	'js/subtitles.js',
+	'js/mediaDescriptor.js',
+	'js/retry.js',
+	'js/settings.js',
+	'js/extractorRegistry.js',
+	'js/extractors/streamCloud.js',
+	'js/extractors/bitShare.js',
+	'js/extractors/ecoStream.js',
+	'js/extractors/html5Video.js',
+	'js/extractors/siteRuleExtractor.js',
+	'js/pageSearch.js'
+];
+
+
 function appendPlayerScripts() {
-	// inject scripts
-	var castVideoPlayerScript = document.createElement('script');
-	var castSenderScript = document.createElement('script');
+	// inject scripts, dynamically inserted scripts run async unless told otherwise
+	for (var i = 0; i < playerScripts.length; i++) {
+		appendScript(chrome.extension.getURL(playerScripts[i]));
+	}
+}
+
+function appendScript(src) {
+	var script = document.createElement('script');
+	script.src = src;
+	script.async = false;
+
+	(document.head||document.documentElement).appendChild(script);
+}
+
+// answer the requests of the page scripts, see js/extensionBridge.js. Any script
+// of the page can send them, so they only get what the search of this page needs.
+var bridgeHandlers = {
+	'search.state': function(data) {
+		playerOverlay.onSearchState(data);
+		return Promise.resolve();
+	},
+	'settings.get': function() {
+		return Settings.load().then(Settings.getSearchSettings);
+	},
+	'siteRules.get': function() {
+		return playerOverlay.client.request('siteRules.get', { host: window.location.host });
+	}
+};
 
-	castVideoPlayerScript.src = chrome.extension.getURL('js/castVideoPlayer.js');
-	castSenderScript.src = "https://www.gstatic.com/cv/js/sender/v1/cast_sender.js";
+window.addEventListener('message', function(event) {
+	var message = event.data;
+	if (event.source != window || !message || message.streamcast != 'request' || !bridgeHandlers[message.type]) {
+		return;
+	}
 
-	(document.head||document.documentElement).appendChild(castVideoPlayerScript);
-	(document.head||document.documentElement).appendChild(castSenderScript);
-}
\ No newline at end of file
+	bridgeHandlers[message.type](message.data).then(function(result) {
+		window.postMessage({ streamcast: 'response', id: message.id, result: result }, window.location.origin);
+	}, function(error) {
+		window.postMessage({ streamcast: 'response', id: message.id, error: error.message }, window.location.origin);
+	});
+});
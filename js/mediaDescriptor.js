@@ -0,0 +1,175 @@
+// Media descriptor
+//
+// Describes a media found on a page. Descriptors travel between the page,
+// the content script and the background page as plain objects, passing such
+// an object to the constructor turns it back into a descriptor.
+
+
+(function(scope) {
+  'use strict';
+
+var ContentTypes = scope.ContentTypes;
+var Subtitles = scope.Subtitles;
+
+
+/**
+ * Episode numbers in titles, e.g. 'S02E05', '2x05' or 'Season 2 Episode 5'
+ */
+var EPISODE_PATTERNS = [
+  /\bS(\d{1,2})\s*E(\d{1,3})\b/i,
+  /\b(\d{1,2})x(\d{2,3})\b/,
+  /\b(?:Season|Staffel)\s*(\d{1,2})\W+(?:Episode|Folge|Ep\.?)\s*(\d{1,3})\b/i
+];
+
+/**
+ * Release year of a movie in a title, e.g. 'Title (2013)'
+ */
+var YEAR_PATTERN = /[(\[]((?:19|20)\d\d)[)\]]/;
+
+/**
+ * Separators left around the parts of a title
+ */
+var SEPARATORS = /^[\s\-\u2013:|.]+|[\s\-\u2013:|.]+$/g;
+
+
+/**
+ * Description of a media resource found on a page
+ * Pages offering several qualities list them in sources, each with
+ * the members source, label, height and contentType. The source and
+ * contentType of the descriptor are those of the selected entry.
+ * @param {Object} properties Initial values of the descriptor fields
+ */
+var MediaDescriptor = function(properties) {
+  properties = properties || {};
+
+  // @type {string} URL of the media stream
+  this.source = properties.source || '';
+
+  // @type {Array} candidate sources of different qualities
+  this.sources = properties.sources || [];
+
+  // @type {Number} index of the selected entry in sources
+  this.selectedSource = 0;
+
+  // @type {string} Title shown in the player and on the receiver
+  this.title = properties.title || 'Unknown';
+
+  // @type {string} Secondary caption line
+  this.subtitle = properties.subtitle || '';
+
+  // @type {string} URL of a poster image
+  this.thumb = properties.thumb || '';
+
+  // @type {string} MIME type of the stream, detected by ContentTypes when not known
+  this.contentType = properties.contentType || '';
+
+  // @type {Boolean} true for live streams without a known duration
+  this.live = properties.live;
+
+  // @type {Array} subtitle tracks created by Subtitles.createTrack
+  this.textTracks = properties.textTracks || [];
+
+  // @type {Number} index of the shown entry in textTracks, -1 if none is shown
+  this.activeTextTrack = properties.activeTextTrack >= 0 ? properties.activeTextTrack : -1;
+
+  // @type {string} Name of the extractor which found the media
+  this.extractor = properties.extractor || '';
+
+  // @type {Object} Request headers the host wants for the stream by name, e.g. Referer
+  //   or User-Agent, the local relay adds them (see js/streamRelay.js)
+  this.headers = properties.headers || {};
+
+  if( !this.sources.length ) {
+    this.sources.push({
+      source: this.source,
+      label: '',
+      height: 0,
+      contentType: this.contentType
+    });
+  }
+  else {
+    var selected = this.sources.map(function(source) {
+      return source.source;
+    }).indexOf(this.source);
+    this.selectSource(selected >= 0 ? selected : this.getBestSource());
+  }
+};
+
+/**
+ * @param {Number} opt_maxHeight The highest resolution wanted, any resolution if missing or 0
+ * @return {Number} The index of the source with the highest resolution not above opt_maxHeight,
+ *   the one with the lowest resolution if all are above
+ */
+MediaDescriptor.prototype.getBestSource = function(opt_maxHeight) {
+  var sources = this.sources;
+  var fits = function(index) {
+    return !opt_maxHeight || sources[index].height <= opt_maxHeight;
+  };
+
+  var best = 0;
+  for( var i = 1; i < sources.length; i++ ) {
+    if( fits(i) != fits(best) ? fits(i) :
+        fits(i) ? sources[i].height > sources[best].height : sources[i].height < sources[best].height ) {
+      best = i;
+    }
+  }
+  return best;
+};
+
+/**
+ * Makes one of the candidate sources the stream to cast
+ * @param {Number} index An index in sources
+ */
+MediaDescriptor.prototype.selectSource = function(index) {
+  this.selectedSource = index;
+  this.source = this.sources[index].source;
+  this.contentType = this.sources[index].contentType || '';
+};
+
+/**
+ * Many hosts only serve their streams to the page they embed them in, the descriptor
+ * gets the headers of the browser's requests of the page unless they are set already
+ * @param {string} pageUrl URL of the page the media was found on
+ */
+MediaDescriptor.prototype.addPageHeaders = function(pageUrl) {
+  if( !this.headers['Referer'] && pageUrl ) {
+    this.headers['Referer'] = pageUrl;
+  }
+  if( !this.headers['User-Agent'] ) {
+    this.headers['User-Agent'] = navigator.userAgent;
+  }
+};
+
+/**
+ * Finds out whether a page title names an episode of a series or a movie
+ * @param {string} title A media title, usually taken from the page title
+ * @return {Object} For episodes an object with the members series, season, episode
+ *   and title (of the episode, may be empty), for titles with a year one with the members
+ *   title and year, otherwise one with the title only
+ */
+MediaDescriptor.parseTitle = function(title) {
+  for( var i = 0; i < EPISODE_PATTERNS.length; i++ ) {
+    var match = EPISODE_PATTERNS[i].exec(title);
+    if( match ) {
+      return {
+        series: title.substring(0, match.index).replace(SEPARATORS, ''),
+        season: parseInt(match[1], 10),
+        episode: parseInt(match[2], 10),
+        title: title.substring(match.index + match[0].length).replace(SEPARATORS, '')
+      };
+    }
+  }
+
+  var year = YEAR_PATTERN.exec(title);
+  if( year ) {
+    return {
+      title: title.substring(0, year.index).replace(SEPARATORS, ''),
+      year: parseInt(year[1], 10)
+    };
+  }
+  return { title: title };
+};
+
+
+  scope.MediaDescriptor = MediaDescriptor;
+})(window.MovieCast || window);
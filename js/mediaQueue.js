@@ -0,0 +1,158 @@
+// Media queue
+//
+// Ordered list of the media to cast. Before casting it holds the items found
+// on the page, once the receiver plays a queue it mirrors the receiver's items.
+
+
+(function() {
+  'use strict';
+
+
+/**
+ * Queue of MediaDescriptor objects
+ */
+var MediaQueue = function() {
+  // @type {Array} MediaDescriptor objects in playback order
+  this.items = [];
+
+  // @type {Array} receiver item ids parallel to items, empty until loaded on a receiver
+  this.itemIds = [];
+
+  // @type {Number} index of the current item
+  this.currentIndex = 0;
+};
+
+/**
+ * @return {MediaDescriptor} The current item or null for an empty queue
+ */
+MediaQueue.prototype.getCurrent = function() {
+  return this.items.length ? this.items[this.currentIndex] : null;
+};
+
+/**
+ * @param {string} url A media URL
+ * @return {Number} The index of the item streaming the URL in any quality or -1
+ */
+MediaQueue.prototype.indexOfSource = function(url) {
+  for( var i = 0; i < this.items.length; i++ ) {
+    var sources = this.items[i].sources;
+    for( var j = 0; j < sources.length; j++ ) {
+      if( sources[j].source == url ) {
+        return i;
+      }
+    }
+  }
+  return -1;
+};
+
+/**
+ * @param {MediaDescriptor} descriptor A media descriptor
+ * @return {Boolean} true if the queue already holds the media
+ */
+MediaQueue.prototype.contains = function(descriptor) {
+  return descriptor.sources.some(function(source) {
+    return this.indexOfSource(source.source) >= 0;
+  }, this);
+};
+
+/**
+ * Appends media which are not queued yet
+ * @param {Array} descriptors MediaDescriptor objects
+ * @return {Array} The descriptors which have been added
+ */
+MediaQueue.prototype.add = function(descriptors) {
+  var added = descriptors.filter(function(descriptor) {
+    return !this.contains(descriptor);
+  }, this);
+
+  this.items = this.items.concat(added);
+  return added;
+};
+
+/**
+ * @param {Number} index An index in the queue
+ */
+MediaQueue.prototype.select = function(index) {
+  if( index >= 0 && index < this.items.length ) {
+    this.currentIndex = index;
+  }
+};
+
+/**
+ * @return {Boolean} true if there is an item after the current one
+ */
+MediaQueue.prototype.hasNext = function() {
+  return this.currentIndex < this.items.length - 1;
+};
+
+/**
+ * @return {Boolean} true if there is an item before the current one
+ */
+MediaQueue.prototype.hasPrevious = function() {
+  return this.currentIndex > 0;
+};
+
+/**
+ * Mirrors the queue of a receiver media session. Items the queue already
+ * knows keep their descriptor so alternative qualities are not lost.
+ * @param {chrome.cast.media.Media} media A media session with queue items
+ * @return {Boolean} true if the current item changed
+ */
+MediaQueue.prototype.sync = function(media) {
+  if( !media.items || !media.items.length ) {
+    return false;
+  }
+
+  var previous = this.getCurrent();
+  var known = this;
+
+  this.items = media.items.map(function(item) {
+    var index = known.indexOfSource(item.media.contentId);
+    return index >= 0 ? known.items[index] : MediaQueue.toDescriptor(item.media);
+  });
+  this.itemIds = media.items.map(function(item) {
+    return item.itemId;
+  });
+
+  var current = this.itemIds.indexOf(media.currentItemId);
+  if( current >= 0 ) {
+    this.currentIndex = current;
+  }
+
+  return this.getCurrent() != previous;
+};
+
+/**
+ * Builds a descriptor for a queue item loaded by another page
+ * @param {chrome.cast.media.MediaInfo} mediaInfo The media of a queue item
+ * @return {MediaDescriptor} A media descriptor
+ */
+MediaQueue.toDescriptor = function(mediaInfo) {
+  var payload = mediaInfo.customData && mediaInfo.customData.payload || {};
+
+  var textTracks = (mediaInfo.tracks || []).filter(function(track) {
+    return track.type == chrome.cast.media.TrackType.TEXT;
+  }).map(function(track) {
+    return Subtitles.createTrack({
+      source: track.trackContentId,
+      contentType: track.trackContentType,
+      label: track.name,
+      language: track.language,
+      kind: track.subtype == chrome.cast.media.TextTrackType.CAPTIONS ? 'captions' : 'subtitles'
+    });
+  });
+
+  return new MediaDescriptor({
+    source: mediaInfo.contentId,
+    contentType: mediaInfo.contentType,
+    title: payload.title,
+    subtitle: payload.subtitle,
+    thumb: payload.thumb,
+    live: mediaInfo.streamType == chrome.cast.media.StreamType.LIVE,
+    textTracks: textTracks
+  });
+};
+
+
+  window.MediaQueue = MediaQueue;
+})();
@@ -0,0 +1,142 @@
+// Media sniffer
+//
+// Watches the network requests of the tabs for media the extractors can't see,
+// e.g. streams requested by obfuscated player scripts. The media found are
+// offered in the source picker of the overlay of the tab. Runs in the
+// background page, the requests are only seen with the optional access to all
+// sites.
+
+
+(function() {
+  'use strict';
+
+
+/**
+ * Number of media kept per tab, the first found are kept
+ */
+var MAX_SOURCES_PER_TAB = 20;
+
+/**
+ * Types of the requests watched
+ */
+var REQUEST_TYPES = ['media', 'xmlhttprequest', 'other'];
+
+/**
+ * Content types servers send when they do not know better
+ */
+var GENERIC_TYPES = ['', 'application/octet-stream', 'binary/octet-stream', 'text/plain'];
+
+
+/**
+ * Records the media requested by each tab
+ */
+var MediaSniffer = function() {
+  // @type {Object} The media found by tab id, Arrays of sources like those of MediaDescriptor
+  this.tabs = {};
+
+  // @type {Array} functions called with a tab id and its sources whenever a media is found
+  this.listeners = [];
+
+  // @type {Boolean} false to ignore the requests, see the setting networkDetection
+  this.enabled = false;
+
+  chrome.webRequest.onHeadersReceived.addListener(this.onHeadersReceived.bind(this),
+    { urls: ['http://*/*', 'https://*/*'], types: REQUEST_TYPES }, ['responseHeaders']);
+  // a new page starts with no media
+  chrome.webRequest.onBeforeRequest.addListener(function(details) {
+    delete this.tabs[details.tabId];
+  }.bind(this), { urls: ['http://*/*', 'https://*/*'], types: ['main_frame'] });
+  chrome.tabs.onRemoved.addListener(function(tabId) {
+    delete this.tabs[tabId];
+  }.bind(this));
+};
+
+/**
+ * @param {Object} details The details of a request, see chrome.webRequest
+ * @return {string} The content type of a castable media, null for anything else. Adaptive
+ *   stream segments are loaded by scripts as well, only their manifests count for scripts.
+ */
+MediaSniffer.getMediaType = function(details) {
+  if( details.statusCode >= 400 ) {
+    return null;
+  }
+
+  var header = (details.responseHeaders || []).filter(function(header) {
+    return header.name.toLowerCase() == 'content-type';
+  })[0];
+  var type = ContentTypes.normalize(header ? header.value : '');
+  if( GENERIC_TYPES.indexOf(type) >= 0 ) {
+    type = ContentTypes.fromUrl(details.url);
+  }
+
+  if( !type || ContentTypes.isSupported(type) !== true ) {
+    return null;
+  }
+  if( details.type != 'media' && !ContentTypes.isAdaptive(type) ) {
+    return null;
+  }
+  return type;
+};
+
+/**
+ * @param {string} url The URL of a media
+ * @param {string} type Its content type
+ * @return {Object} A source as listed in the sources of a MediaDescriptor
+ */
+MediaSniffer.toSource = function(url, type) {
+  var height = /(\d{3,4})p/.exec(url);
+  var format = type == ContentTypes.HLS ? 'HLS' : type == ContentTypes.DASH ? 'DASH' :
+    type.split('/')[1].toUpperCase();
+
+  return {
+    source: url,
+    label: 'Network: ' + format + (height ? ' ' + height[1] + 'p' : ''),
+    height: height ? parseInt(height[1], 10) : 0,
+    contentType: type
+  };
+};
+
+/**
+ * @param {Object} details The details of a request with its response headers
+ */
+MediaSniffer.prototype.onHeadersReceived = function(details) {
+  if( !this.enabled || details.tabId < 0 ) {
+    return;
+  }
+  var type = MediaSniffer.getMediaType(details);
+  if( !type ) {
+    return;
+  }
+
+  var sources = this.tabs[details.tabId] = this.tabs[details.tabId] || [];
+  var known = sources.some(function(source) {
+    return source.source == details.url;
+  });
+  if( known || sources.length >= MAX_SOURCES_PER_TAB ) {
+    return;
+  }
+
+  sources.push(MediaSniffer.toSource(details.url, type));
+  this.listeners.forEach(function(listener) {
+    listener(details.tabId, sources);
+  });
+};
+
+/**
+ * @param {Number} tabId The id of a tab
+ * @return {Array} The media requested by the page of the tab
+ */
+MediaSniffer.prototype.getSources = function(tabId) {
+  return this.tabs[tabId] || [];
+};
+
+/**
+ * @param {function} listener Called with a tab id and the media of the tab whenever one is found
+ */
+MediaSniffer.prototype.addListener = function(listener) {
+  this.listeners.push(listener);
+};
+
+
+  window.MediaSniffer = MediaSniffer;
+})();
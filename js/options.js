@@ -0,0 +1,465 @@
+// Options page
+//
+// Settings of the extension, they are stored in the synced storage and picked
+// up by the running player views.
+
+
+(function() {
+  'use strict';
+
+
+/**
+ * Milliseconds the saved message is shown
+ */
+var STATUS_DELAY = 1500;
+
+/**
+ * Settings needing the optional access to all sites, it is asked for when they are turned on
+ */
+var ALL_SITES_SETTINGS = ['networkDetection', 'relayMode'];
+
+/**
+ * Origins of the access to all sites
+ */
+var ALL_SITES = ['http://*/*', 'https://*/*'];
+
+
+var OptionsPage = function() {
+  // @type {Object} The key of every shortcut action by action name
+  this.shortcuts = Shortcuts.getDefaults();
+
+  // @type {Object} The extension settings by name, see Settings
+  this.settings = Settings.withDefaults(null);
+
+  // @type {Array} The site rules, see SiteRules
+  this.rules = [];
+
+  // @type {Number} Timeout clearing the status message
+  this.statusTimer = null;
+
+  document.getElementById("reset_shortcuts").addEventListener('click', this.resetShortcuts.bind(this));
+  document.getElementById("add_rule").addEventListener('click', this.addRule.bind(this));
+  document.getElementById("export_rules").addEventListener('click', this.exportRules.bind(this));
+  document.getElementById("import_rules").addEventListener('click', function() {
+    document.getElementById("rules_file").click();
+  });
+  document.getElementById("rules_file").addEventListener('change', this.importRules.bind(this));
+  document.getElementById("export_diagnostics").addEventListener('click', this.exportDiagnostics.bind(this));
+  document.getElementById("clear_diagnostics").addEventListener('click', this.clearDiagnostics.bind(this));
+
+  Shortcuts.load().then(function(bindings) {
+    this.shortcuts = bindings;
+    this.renderShortcuts();
+  }.bind(this));
+  Settings.load().then(function(settings) {
+    this.settings = settings;
+    this.renderSettings();
+  }.bind(this));
+  SiteRules.load().then(function(rules) {
+    this.rules = rules;
+    this.renderRules();
+  }.bind(this));
+  this.renderDiagnostics();
+};
+
+/**
+ * Fill the shortcut table with an input per action
+ */
+OptionsPage.prototype.renderShortcuts = function() {
+  var table = document.getElementById("shortcuts");
+  table.innerHTML = '';
+
+  for( var name in Shortcuts.ACTIONS ) {
+    var row = document.createElement('tr');
+    var label = document.createElement('td');
+    var cell = document.createElement('td');
+    var input = document.createElement('input');
+
+    label.textContent = Shortcuts.ACTIONS[name].label;
+    input.readOnly = true;
+    input.value = this.shortcuts[name] ? Shortcuts.describeKey(this.shortcuts[name]) : '';
+    input.addEventListener('keydown', this.onShortcutKey.bind(this, name));
+
+    cell.appendChild(input);
+    row.appendChild(label);
+    row.appendChild(cell);
+    table.appendChild(row);
+  }
+};
+
+/**
+ * Bind the pressed key to an action, a key is only bound to one action
+ * @param {string} action An action name
+ * @param {KeyboardEvent} event A key press in the input of the action
+ */
+OptionsPage.prototype.onShortcutKey = function(action, event) {
+  if( event.key == 'Tab' ) {
+    return;
+  }
+  event.preventDefault();
+
+  var key = event.key == 'Backspace' || event.key == 'Delete' ? '' : event.key;
+  for( var name in this.shortcuts ) {
+    if( key && this.shortcuts[name].toLowerCase() == key.toLowerCase() ) {
+      this.shortcuts[name] = '';
+    }
+  }
+  this.shortcuts[action] = key;
+
+  this.renderShortcuts();
+  this.saveShortcuts();
+};
+
+/**
+ * Restore the default keys
+ */
+OptionsPage.prototype.resetShortcuts = function() {
+  this.shortcuts = Shortcuts.getDefaults();
+  this.renderShortcuts();
+  this.saveShortcuts();
+};
+
+/**
+ * Store the shortcuts, the overlays pick them up right away
+ */
+OptionsPage.prototype.saveShortcuts = function() {
+  Shortcuts.save(this.shortcuts).then(this.showStatus.bind(this, "Saved"), function(e) {
+    this.showStatus("Not saved: " + e.message);
+  }.bind(this));
+};
+
+/**
+ * Show the stored settings in their inputs, the inputs name their setting in data-setting
+ */
+OptionsPage.prototype.renderSettings = function() {
+  var inputs = document.querySelectorAll('[data-setting]');
+  for( var i = 0; i < inputs.length; i++ ) {
+    var value = this.settings[inputs[i].dataset.setting];
+    if( inputs[i].type == 'checkbox' ) {
+      inputs[i].checked = value;
+    }
+    else {
+      inputs[i].value = value;
+    }
+    inputs[i].addEventListener('change', this.onSettingChange.bind(this, inputs[i]));
+  }
+
+  this.renderProviders();
+};
+
+/**
+ * A checkbox per site specific extractor, unchecked ones are not run
+ */
+OptionsPage.prototype.renderProviders = function() {
+  var list = document.getElementById("providers");
+  list.innerHTML = '';
+
+  extractorRegistry.extractors.forEach(function(extractor) {
+    var label = document.createElement('label');
+    var checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = this.settings.disabledExtractors.indexOf(extractor.name) < 0;
+    checkbox.addEventListener('change', this.setExtractorEnabled.bind(this, extractor.name, checkbox));
+
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(' ' + extractor.name + ' (' +
+      (extractorRegistry.isFallback(extractor) ? 'any page with a video' : extractor.hosts.join(', ')) + ')'));
+    list.appendChild(label);
+  }, this);
+};
+
+/**
+ * Store the value of a setting input, numbers are kept within the bounds of the input
+ * @param {HTMLElement} input An input or select with a data-setting attribute
+ */
+OptionsPage.prototype.onSettingChange = function(input) {
+  var name = input.dataset.setting;
+  var value = input.type == 'checkbox' ? input.checked : input.value.trim();
+
+  if( typeof Settings.DEFAULTS[name] == 'number' ) {
+    value = parseFloat(value);
+    if( isNaN(value) || (input.min && value < parseFloat(input.min)) || (input.max && value > parseFloat(input.max)) ) {
+      input.value = this.settings[name];
+      this.showStatus("Not saved: enter a number between " + input.min + " and " + input.max);
+      return;
+    }
+  }
+
+  if( name == 'receiverAppId' ) {
+    value = value.toUpperCase();
+    if( value && !/^[0-9A-F]{8}$/.test(value) ) {
+      this.showStatus("Not saved: an application ID has 8 hexadecimal digits");
+      return;
+    }
+    input.value = value;
+  }
+
+  if( name == 'relayAddress' && !/^https?:\/\/[^\/]+\/?$/.test(value) ) {
+    this.showStatus("Not saved: enter the address like http://127.0.0.1:8765");
+    return;
+  }
+
+  if( ALL_SITES_SETTINGS.indexOf(name) >= 0 && value ) {
+    chrome.permissions.request({ origins: ALL_SITES }, function(granted) {
+      if( !granted ) {
+        input.checked = false;
+        this.showStatus("Not saved: the access to all sites was not allowed");
+        return;
+      }
+      this.settings[name] = value;
+      this.saveSettings();
+    }.bind(this));
+    return;
+  }
+
+  this.settings[name] = value;
+  this.saveSettings();
+};
+
+/**
+ * @param {string} name The name of an extractor
+ * @param {HTMLInputElement} checkbox The checkbox of the extractor
+ */
+OptionsPage.prototype.setExtractorEnabled = function(name, checkbox) {
+  this.settings.disabledExtractors = this.settings.disabledExtractors.filter(function(disabled) {
+    return disabled != name;
+  });
+  if( !checkbox.checked ) {
+    this.settings.disabledExtractors.push(name);
+  }
+  this.saveSettings();
+};
+
+/**
+ * Store the settings, the background page picks them up right away
+ */
+OptionsPage.prototype.saveSettings = function() {
+  Settings.save(this.settings).then(this.showStatus.bind(this, "Saved"), function(e) {
+    this.showStatus("Not saved: " + e.message);
+  }.bind(this));
+};
+
+/**
+ * List the site rules, a click on a rule fills the form with it
+ */
+OptionsPage.prototype.renderRules = function() {
+  var table = document.getElementById("site_rules");
+  table.innerHTML = '';
+
+  this.rules.forEach(function(rule, index) {
+    var row = document.createElement('tr');
+    var name = document.createElement('td');
+    var hosts = document.createElement('td');
+    var actions = document.createElement('td');
+    var edit = document.createElement('button');
+    var remove = document.createElement('button');
+
+    name.textContent = rule.name;
+    hosts.textContent = rule.hosts.join(', ');
+    edit.textContent = 'Edit';
+    edit.addEventListener('click', this.editRule.bind(this, rule));
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', this.removeRule.bind(this, index));
+
+    actions.appendChild(edit);
+    actions.appendChild(remove);
+    row.appendChild(name);
+    row.appendChild(hosts);
+    row.appendChild(actions);
+    table.appendChild(row);
+
+    // e.g. imported rules, the access can't be asked for while reading the file
+    SiteRules.hasAccess(rule).then(function(granted) {
+      if( granted ) {
+        return;
+      }
+      var allow = document.createElement('button');
+      allow.textContent = 'Allow access';
+      allow.addEventListener('click', this.allowRules.bind(this, [rule]));
+      actions.appendChild(allow);
+    }.bind(this));
+  }, this);
+};
+
+/**
+ * Ask the user for the hosts of rules, the rules stay unused in the pages until allowed
+ * @param {Array} rules Valid site rules
+ * @return {Promise} Resolved with true if the user allowed the hosts
+ */
+OptionsPage.prototype.allowRules = function(rules) {
+  return SiteRules.requestAccess(rules).then(function(granted) {
+    this.renderRules();
+    return granted;
+  }.bind(this), function(e) {
+    this.showStatus("Access not allowed: " + e.message);
+    return false;
+  }.bind(this));
+};
+
+/**
+ * @param {Object} rule A site rule shown in the form
+ */
+OptionsPage.prototype.editRule = function(rule) {
+  document.getElementById("rule_name").value = rule.name;
+  document.getElementById("rule_hosts").value = rule.hosts.join(', ');
+  document.getElementById("rule_source_selector").value = rule.sourceSelector || '';
+  document.getElementById("rule_source_attribute").value = rule.sourceAttribute || '';
+  document.getElementById("rule_source_pattern").value = rule.sourcePattern || '';
+  document.getElementById("rule_title_selector").value = rule.titleSelector || '';
+  document.getElementById("rule_thumb_selector").value = rule.thumbSelector || '';
+};
+
+/**
+ * Add the rule of the form, it replaces a rule of the same name
+ */
+OptionsPage.prototype.addRule = function() {
+  var rule;
+  try {
+    rule = SiteRules.validate({
+      name: document.getElementById("rule_name").value,
+      hosts: document.getElementById("rule_hosts").value.split(',').map(function(host) {
+        return host.trim();
+      }).filter(Boolean),
+      sourceSelector: document.getElementById("rule_source_selector").value,
+      sourceAttribute: document.getElementById("rule_source_attribute").value,
+      sourcePattern: document.getElementById("rule_source_pattern").value,
+      titleSelector: document.getElementById("rule_title_selector").value,
+      thumbSelector: document.getElementById("rule_thumb_selector").value
+    });
+  }
+  catch(e) {
+    this.showStatus("Not saved: " + e.message);
+    return;
+  }
+
+  this.allowRules([rule]).then(function(granted) {
+    if( granted ) {
+      this.mergeRules([rule]);
+    }
+    else {
+      this.showStatus("Not saved: access to the hosts of the rule was not allowed");
+    }
+  }.bind(this));
+};
+
+/**
+ * @param {Number} index An index in the rules
+ */
+OptionsPage.prototype.removeRule = function(index) {
+  this.rules.splice(index, 1);
+  this.saveRules();
+};
+
+/**
+ * Add rules, replacing those of the same names
+ * @param {Array} rules Valid site rules
+ */
+OptionsPage.prototype.mergeRules = function(rules) {
+  var names = rules.map(function(rule) {
+    return rule.name;
+  });
+  this.rules = this.rules.filter(function(rule) {
+    return names.indexOf(rule.name) < 0;
+  }).concat(rules);
+  this.saveRules();
+};
+
+/**
+ * Store the rules, pages use them from their next video search on
+ */
+OptionsPage.prototype.saveRules = function() {
+  this.renderRules();
+  SiteRules.save(this.rules).then(this.showStatus.bind(this, "Saved"), function(e) {
+    this.showStatus("Not saved: " + e.message);
+  }.bind(this));
+};
+
+/**
+ * Download the site rules as JSON file
+ */
+OptionsPage.prototype.exportRules = function() {
+  var blob = new Blob([SiteRules.toJson(this.rules)], { type: 'application/json' });
+  var link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'moviecast-rules.json';
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
+
+/**
+ * Add the rules of a JSON file chosen by the user, the rules list asks for
+ * the access to hosts not allowed yet
+ * @param {Event} event The change event of the file input
+ */
+OptionsPage.prototype.importRules = function(event) {
+  var file = event.target.files[0];
+  event.target.value = '';
+  if( !file ) {
+    return;
+  }
+
+  var reader = new FileReader();
+  reader.onload = function() {
+    var rules;
+    try {
+      rules = SiteRules.parse(reader.result);
+    }
+    catch(e) {
+      this.showStatus("Not imported: " + e.message);
+      return;
+    }
+    this.mergeRules(rules);
+  }.bind(this);
+  reader.readAsText(file);
+};
+
+/**
+ * Show how many errors are logged
+ */
+OptionsPage.prototype.renderDiagnostics = function() {
+  DiagnosticsLog.load().then(function(entries) {
+    document.getElementById("diagnostics_count").textContent = entries.length + " errors logged";
+  });
+};
+
+/**
+ * Download the diagnostics log as JSON file
+ */
+OptionsPage.prototype.exportDiagnostics = function() {
+  DiagnosticsLog.load().then(function(entries) {
+    var blob = new Blob([DiagnosticsLog.toReport(entries)], { type: 'application/json' });
+    var link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'moviecast-diagnostics.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+};
+
+/**
+ * Remove all entries of the diagnostics log
+ */
+OptionsPage.prototype.clearDiagnostics = function() {
+  DiagnosticsLog.clear().then(function() {
+    this.renderDiagnostics();
+    this.showStatus("Log cleared");
+  }.bind(this));
+};
+
+/**
+ * @param {string} message A message shown for a moment below the settings
+ */
+OptionsPage.prototype.showStatus = function(message) {
+  var status = document.getElementById("status");
+  status.textContent = message;
+  clearTimeout(this.statusTimer);
+  this.statusTimer = setTimeout(function() {
+    status.textContent = '';
+  }, STATUS_DELAY);
+};
+
+
+document.addEventListener('DOMContentLoaded', function() {
+  new OptionsPage();
+});
+})();
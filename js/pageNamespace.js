@@ -0,0 +1,8 @@
+// Page namespace
+//
+// The page scripts share the window with the scripts of the page. They export
+// into window.MovieCast instead of adding globals, so this one comes first.
+// In the extension pages and the content script they export into the window.
+
+
+window.MovieCast = window.MovieCast || {};
@@ -0,0 +1,104 @@
+// Page search
+//
+// Runs the source extractors in the page and reports their progress and the
+// media they find to the content script, which shows them in the overlay.
+
+
+(function(scope) {
+  'use strict';
+
+var ExtensionBridge = scope.ExtensionBridge;
+var Retry = scope.Retry;
+var Settings = scope.Settings;
+var SiteRuleExtractor = scope.SiteRuleExtractor;
+var extractorRegistry = scope.extractorRegistry;
+
+
+/**
+ * Milliseconds after which the site specific extractors give up
+ **/
+var SEARCH_TIMEOUT = 60000;
+
+/**
+ * @type {AbortController} Cancels the running search, a new search replaces it
+ */
+var currentSearch = null;
+
+
+/**
+ * Tell the content script about the search. The content script may be gone,
+ * e.g. after an update of the extension, then the state is only logged
+ * @param {Object} state The state, see PlayerOverlay.onSearchState
+ */
+var reportState = function(state) {
+  ExtensionBridge.request('search.state', state).catch(function(e) {
+    console.log('search state ' + state.state + ' not reported: ' + e.message);
+  });
+};
+
+/**
+ * The video source search function asks the extractor registry for a video source
+ * using the extractors handling the current host. The number of attempts, their
+ * delay, the enabled extractors and the site rules are read on every search, if
+ * they can't be read the search runs with the default settings and no site rules.
+ * A search still running, e.g. when the user hits Retry, is cancelled.
+ */
+var searchVideoSource = function() {
+  if( currentSearch ) {
+    currentSearch.abort();
+  }
+  var search = currentSearch = new AbortController();
+
+  Promise.all([
+    ExtensionBridge.request('settings.get'),
+    ExtensionBridge.request('siteRules.get')
+  ]).catch(function(e) {
+    reportState({ state: 'warning', message: 'Options not read: ' + e.message });
+    return [Settings.getSearchSettings(Settings.withDefaults(null)), []];
+  }).then(function(results) {
+    if( search.signal.aborted ) {
+      return;
+    }
+    var settings = results[0];
+    extractorRegistry.setDisabled(settings.disabledExtractors);
+    SiteRuleExtractor.registerAll(results[1]);
+    runSearch(settings.searchAttempts, settings.searchInterval * 1000, search.signal);
+  });
+};
+
+/**
+ * @param {Number} maxAttempts The max number of attempts
+ * @param {Number} initialDelay Milliseconds between the first two attempts, the delay doubles after each one
+ * @param {AbortSignal} signal Cancels the search
+ */
+var runSearch = function(maxAttempts, initialDelay, signal) {
+  var host = window.location.host;
+  var handlesHost = extractorRegistry.handlesHost(host);
+
+  // hosts without a site specific extractor make no attempts
+  if( !handlesHost ) {
+    reportState({ state: 'searching', handlesHost: handlesHost });
+  }
+
+  extractorRegistry.search(host, {
+    maxAttempts: maxAttempts,
+    initialDelay: initialDelay,
+    timeout: SEARCH_TIMEOUT,
+    signal: signal,
+    onAttempt: function(attempt, maxAttempts) {
+      reportState({ state: 'searching', handlesHost: handlesHost,
+        attempt: attempt, maxAttempts: maxAttempts });
+    }
+  }).then(function(items) {
+    reportState({ state: 'found', handlesHost: handlesHost, items: items });
+  }, function(e) {
+    if( Retry.isCancelled(e) ) {
+      return;
+    }
+    reportState({ state: 'failed', handlesHost: handlesHost, message: e.message });
+  });
+};
+
+ExtensionBridge.on('search', searchVideoSource);
+searchVideoSource();
+})(window.MovieCast || window);
@@ -0,0 +1,115 @@
+// Player client
+//
+// Connects a view of the player to the Cast session owned by the background
+// page (js/background.js). The background page sends the player state on
+// every change, the view sends commands naming a CastPlayer method.
+
+
+(function() {
+  'use strict';
+
+
+/**
+ * @param {string} name Name of the view, 'overlay' or 'popup'
+ */
+var PlayerClient = function(name) {
+  // @type {Port} connection to the background page
+  this.port = chrome.runtime.connect({ name: name });
+
+  // @type {Object} the state last sent by the background page, null until connected
+  this.state = null;
+
+  // @type {Array} functions called with every new state
+  this.stateListeners = [];
+
+  // @type {Array} functions called with the media the page of the view requested
+  this.detectedSourcesListeners = [];
+
+  this.port.onMessage.addListener(this.onMessage.bind(this));
+};
+
+/**
+ * @param {Object} message A message of the background page
+ */
+PlayerClient.prototype.onMessage = function(message) {
+  if( message.detectedSources ) {
+    this.detectedSourcesListeners.forEach(function(listener) {
+      listener(message.detectedSources);
+    });
+  }
+  if( !message.state ) {
+    return;
+  }
+
+  this.state = message.state;
+  this.stateListeners.forEach(function(listener) {
+    listener(message.state);
+  });
+};
+
+/**
+ * @param {function} listener Called with the player state whenever it changes
+ */
+PlayerClient.prototype.addStateListener = function(listener) {
+  this.stateListeners.push(listener);
+  if( this.state ) {
+    listener(this.state);
+  }
+};
+
+/**
+ * @param {function} listener Called with the sources found in the network requests of the page,
+ *   see MediaSniffer
+ */
+PlayerClient.prototype.addDetectedSourcesListener = function(listener) {
+  this.detectedSourcesListeners.push(listener);
+};
+
+/**
+ * Calls a method of the background CastPlayer, the remaining
+ * arguments are passed on
+ * @param {string} command The method name, e.g. 'playMedia'
+ */
+PlayerClient.prototype.send = function(command) {
+  this.port.postMessage({ command: command, args: Array.prototype.slice.call(arguments, 1) });
+};
+
+/**
+ * @param {string} type The request type handled by the background page, e.g. 'resume.get'
+ * @param {Object} data The request payload
+ * @return {Promise} Resolved with the result of the request
+ */
+PlayerClient.prototype.request = function(type, data) {
+  return new Promise(function(resolve, reject) {
+    chrome.runtime.sendMessage({ request: type, data: data }, function(response) {
+      if( chrome.runtime.lastError ) {
+        reject(new Error(chrome.runtime.lastError.message));
+      }
+      else if( !response || response.error ) {
+        reject(new Error(response ? response.error : 'no response'));
+      }
+      else {
+        resolve(response.result);
+      }
+    });
+  });
+};
+
+/**
+ * @param {Number} seconds A time in seconds
+ * @return {string} The time as h:mm:ss or m:ss
+ */
+PlayerClient.formatTime = function(seconds) {
+  seconds = Math.floor(seconds);
+  var hr = Math.floor(seconds / 3600);
+  var min = Math.floor(seconds % 3600 / 60);
+  var sec = seconds % 60;
+  var pad = function(n) {
+    return n < 10 ? '0' + n : '' + n;
+  };
+  return hr > 0 ? hr + ':' + pad(min) + ':' + pad(sec) : min + ':' + pad(sec);
+};
+
+
+  window.PlayerClient = PlayerClient;
+})();
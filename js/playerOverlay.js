@@ -0,0 +1,1122 @@
+// Player overlay
+//
+// The media controls injected into the provider pages (player.html). The
+// overlay runs in the content script, it renders the state of the Cast session
+// owned by the background page and sends it the commands of the user. Until
+// something is cast it holds the media found on the page as its own queue.
+
+
+(function() {
+  'use strict';
+
+
+/**
+ * Seconds skipped by the Page Up and Page Down keys on the seek bar
+ **/
+var SEEK_PAGE_STEP = 60;
+
+
+/**
+ * @param {PlayerClient} client The connection to the background page
+ */
+var PlayerOverlay = function(client) {
+  // @type {PlayerClient} The connection to the background page
+  this.client = client;
+
+  // @type {Object} The player state last sent by the background page
+  this.state = null;
+
+  // @type {Array} The MediaDescriptor objects found on the page
+  this.pageItems = [];
+
+  // @type {MediaQueue} The media of the page, cast when the cast icon is clicked
+  this.queue = new MediaQueue();
+
+  // @type {MediaQueue} The queue playing on the receiver
+  this.sessionQueue = new MediaQueue();
+
+  // @type {Number} Seconds into the media the next launch starts playback at
+  this.startTime = 0;
+
+  // @type {string} Source of the media the resume offer was looked up for
+  this.resumeSource = null;
+
+  // @type {Object} The error of the last source search, see CastErrors.classify
+  this.searchError = null;
+
+  // @type {Array} The sources found in the network requests of the page, see MediaSniffer
+  this.detectedSources = [];
+
+  // @type {Object} The key of every shortcut action by action name
+  this.shortcuts = Shortcuts.getDefaults();
+
+  // @type {Object} The extension settings by name, see Settings
+  this.settings = Settings.withDefaults(null);
+
+  // @type {Number} Timeout hiding the media control once the mouse left it
+  this.hideTimer = null;
+
+  // @type {Number} Seconds the seek bar is dragged to, null while it is not dragged
+  this.seekTarget = null;
+
+  Shortcuts.load().then(this.setShortcuts.bind(this));
+  Shortcuts.onChanged(this.setShortcuts.bind(this));
+
+  this.initializeUI();
+  Settings.load().then(this.applySettings.bind(this));
+  Settings.onChanged(this.applySettings.bind(this));
+  this.client.addStateListener(this.onStateChange.bind(this));
+  this.client.addDetectedSourcesListener(this.onDetectedSources.bind(this));
+};
+
+
+/**
+ * @return {Boolean} true if a media of the session plays on the receiver
+ */
+PlayerOverlay.prototype.isCasting = function() {
+  return this.state != null && this.state.casting;
+};
+
+/**
+ * @return {MediaQueue} The queue of the receiver while casting, the media of the page otherwise
+ */
+PlayerOverlay.prototype.getQueue = function() {
+  return this.isCasting() ? this.sessionQueue : this.queue;
+};
+
+/**
+ * @param {Object} settings The extension settings by name
+ */
+PlayerOverlay.prototype.applySettings = function(settings) {
+  this.settings = settings;
+  document.getElementById("media_control").classList.toggle('overlay_bottom', settings.overlayPosition == 'bottom');
+};
+
+/**
+ * Render a new state of the background player
+ * @param {Object} state A state returned by CastPlayer.getState
+ */
+PlayerOverlay.prototype.onStateChange = function(state) {
+  this.state = state;
+
+  this.sessionQueue = new MediaQueue();
+  this.sessionQueue.add(state.queue.items.map(function(item) {
+    return new MediaDescriptor(item);
+  }));
+  this.sessionQueue.select(state.queue.currentIndex);
+
+  this.showMediaInfo();
+  this.showError();
+  this.updateProgressBar();
+  this.updateMediaControlUI();
+};
+
+
+/**
+ * Initialize UI components and add event listeners
+ */
+PlayerOverlay.prototype.initializeUI = function() {
+
+  // add event handlers to UI components
+  document.getElementById("casticonidle").addEventListener('click', this.launchApp.bind(this));
+  document.getElementById("casticonactive").addEventListener('click', this.stopApp.bind(this));
+  document.getElementById("progress_bar").addEventListener('pointerdown', this.onSeekStart.bind(this));
+  document.getElementById("progress_bar").addEventListener('pointermove', this.onSeekMove.bind(this));
+  document.getElementById("progress_bar").addEventListener('pointerup', this.onSeekEnd.bind(this));
+  document.getElementById("progress_bar").addEventListener('pointercancel', this.onSeekCancel.bind(this));
+  document.getElementById("progress_bar").addEventListener('pointerleave', this.hideSeekTooltip.bind(this));
+  document.getElementById("progress_bar").addEventListener('keydown', this.onSeekKey.bind(this));
+  document.getElementById("audio_on").addEventListener('click', this.muteMedia.bind(this));
+  document.getElementById("audio_off").addEventListener('click', this.muteMedia.bind(this));
+  document.getElementById("audio_bg").addEventListener('mouseover', this.showVolumeSlider.bind(this));
+  document.getElementById("audio_on").addEventListener('mouseover', this.showVolumeSlider.bind(this));
+  document.getElementById("audio_bg_level").addEventListener('mouseover', this.showVolumeSlider.bind(this));
+  document.getElementById("audio_bg_track").addEventListener('mouseover', this.showVolumeSlider.bind(this));
+  document.getElementById("audio_bg_level").addEventListener('click', this.setReceiverVolume.bind(this));
+  document.getElementById("audio_bg_track").addEventListener('click', this.setReceiverVolume.bind(this));
+  document.getElementById("audio_bg").addEventListener('mouseout', this.hideVolumeSlider.bind(this));
+  document.getElementById("audio_on").addEventListener('mouseout', this.hideVolumeSlider.bind(this));
+  document.getElementById("media_control").addEventListener('mouseover', this.showMediaControl.bind(this));
+  document.getElementById("media_control").addEventListener('mouseout', this.hideMediaControl.bind(this));
+
+  // enable play/pause buttons
+  document.getElementById("play").addEventListener('click', this.playMedia.bind(this));
+  document.getElementById("pause").addEventListener('click', this.pauseMedia.bind(this));
+
+
+  // assume resource has not been found until search functions have been executed
+  document.getElementById("media_title").innerHTML = "No resource found";
+  document.getElementById("media_subtitle").innerHTML = "No subtitle";
+  document.getElementById("media_info").style.display = 'inline-block';
+
+  document.getElementById("retry").innerHTML = "(Retry)";
+  document.getElementById("retry").addEventListener('click', this.retrySourceSearch.bind(this));
+  document.getElementById("error_retry").addEventListener('click', this.retryAfterError.bind(this));
+
+  document.getElementById("quality_label").addEventListener('click', this.toggleQualityList.bind(this));
+  document.getElementById("cc_label").addEventListener('click', this.toggleCaptionMenu.bind(this));
+  document.getElementById("cc_file").addEventListener('change', this.loadCaptionFile.bind(this));
+
+  document.getElementById("resume").addEventListener('click', this.startFrom.bind(this, true));
+  document.getElementById("start_over").addEventListener('click', this.startFrom.bind(this, false));
+
+  // queue controls
+  document.getElementById("queue_prev").addEventListener('click', this.previousMedia.bind(this));
+  document.getElementById("queue_next").addEventListener('click', this.nextMedia.bind(this));
+  document.getElementById("queue_add").addEventListener('click', this.addToQueue.bind(this));
+
+  // capture the shortcuts before the page's own key handlers
+  document.addEventListener('keydown', this.onKeyDown.bind(this), true);
+
+};
+
+
+/**
+ * @param {Object} bindings The key of every shortcut action by action name
+ */
+PlayerOverlay.prototype.setShortcuts = function(bindings) {
+  this.shortcuts = bindings;
+};
+
+/**
+ * @return {Boolean} true if the media control is shown or holds the focus
+ */
+PlayerOverlay.prototype.isControlActive = function() {
+  var control = document.getElementById("media_control");
+  return control.contains(document.activeElement) || control.classList.contains('shown') || control.matches(':hover');
+};
+
+/**
+ * Run the action bound to a key. The keys are only taken from the page
+ * while casting with the media control shown or focused, and never while
+ * the user types into a form field or moves the focused seek bar.
+ * @param {KeyboardEvent} event A key press
+ */
+PlayerOverlay.prototype.onKeyDown = function(event) {
+  var target = event.target;
+  if( !this.isCasting() || !this.isControlActive() || target.isContentEditable ||
+      /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName) || target.id == 'progress_bar' ) {
+    return;
+  }
+
+  var name = Shortcuts.getAction(this.shortcuts, event);
+  if( !name ) {
+    return;
+  }
+  event.preventDefault();
+  event.stopPropagation();
+
+  var action = Shortcuts.ACTIONS[name];
+  this.client.send.apply(this.client, [action.command].concat(action.args));
+};
+
+
+/**
+ * Callback function for the progress of the source search in the page
+ * @param {Object} data The search state with the members state ('searching',
+ *   'found', 'failed' or 'warning'), handlesHost, attempt and maxAttempts while
+ *   searching, items when found and message when failed or for a warning
+ */
+PlayerOverlay.prototype.onSearchState = function(data) {
+  var control = document.getElementById("media_control");
+  var status = document.getElementById("search_status");
+  status.style.display = 'none';
+
+  switch( data.state )
+  {
+    case 'searching':
+      // pages without a provider specific extractor only get the player once a video is found
+      if( !data.handlesHost ) {
+        control.style.display = 'none';
+      }
+      if( data.attempt ) {
+        status.textContent = "Searching\u2026 attempt " + data.attempt + "/" + data.maxAttempts;
+        status.style.display = 'inline';
+      }
+      this.searchError = null;
+      break;
+    case 'found':
+      this.searchError = null;
+      this.onMediaSourceSearchSuccess(data.items);
+      break;
+    case 'failed':
+      this.onMediaSourceSearchError(new Error(data.message));
+      break;
+    case 'warning':
+      this.onMediaSourceSearchWarning(new Error(data.message));
+      break;
+    default:
+      break;
+  }
+  this.showError();
+};
+
+/**
+ * Callback function for a problem the search goes on after, e.g. without the options
+ * @param {Error} e The problem
+ */
+PlayerOverlay.prototype.onMediaSourceSearchWarning = function(e) {
+  console.log(e.message);
+  var entry = CastErrors.classify(e, 'search.options');
+  entry.source = window.location.href;
+  this.client.request('diagnostics.add', entry).catch(function(error) {
+    console.log("diagnostics not logged: " + error.message);
+  });
+};
+
+/**
+ * Callback function when no extractor found a source
+ * @param {Error} e The error of the search
+ */
+PlayerOverlay.prototype.onMediaSourceSearchError = function(e) {
+  console.log(e.message);
+  this.searchError = CastErrors.classify(e, 'search');
+  this.searchError.source = window.location.href;
+  this.client.request('diagnostics.add', this.searchError).catch(function(error) {
+    console.log("diagnostics not logged: " + error.message);
+  });
+  this.mergeDetectedSources();
+};
+
+/**
+ * Show the error of the source search or of the Cast session with its retry action
+ */
+PlayerOverlay.prototype.showError = function() {
+  var error = this.searchError || (this.state && this.state.error);
+  var element = document.getElementById("media_error");
+  if( !error ) {
+    element.style.display = 'none';
+    return;
+  }
+
+  document.getElementById("error_message").textContent = error.message;
+  document.getElementById("error_retry").textContent = error.action;
+  element.style.display = 'inline';
+};
+
+/**
+ * Retry what failed: the source search or the launch and load of the media
+ */
+PlayerOverlay.prototype.retryAfterError = function() {
+  var error = this.searchError || (this.state && this.state.error);
+  if( !error ) {
+    return;
+  }
+
+  if( error.category == 'EXTRACTOR_FAILED' ) {
+    this.retrySourceSearch();
+  }
+  else {
+    this.client.send('reloadMedia');
+  }
+};
+
+/**
+ * Callback function for a successful source search
+ * While casting the media of the page can be added to the receiver's queue,
+ * otherwise they make up the queue.
+ * @param {Array} items The media descriptors found on the page as plain objects
+ */
+PlayerOverlay.prototype.onMediaSourceSearchSuccess = function(items) {
+  var preferredQuality = this.settings.preferredQuality;
+  this.pageItems = items.map(function(item) {
+    var descriptor = new MediaDescriptor(item);
+    descriptor.selectSource(descriptor.getBestSource(preferredQuality));
+    return descriptor;
+  });
+  this.queue = new MediaQueue();
+  this.queue.add(this.pageItems);
+
+  document.getElementById("retry").style.display = "none";
+  document.getElementById("media_control").style.display = 'block';
+
+  this.mergeDetectedSources();
+  this.showMediaInfo();
+  // the preferred quality may be another source than the one the extractor checked
+  Promise.all(this.pageItems.map(ContentTypes.detect)).then(this.showMediaInfo.bind(this));
+};
+
+/**
+ * @param {Array} sources The sources found in the network requests of the page so far
+ */
+PlayerOverlay.prototype.onDetectedSources = function(sources) {
+  this.detectedSources = sources;
+  this.mergeDetectedSources();
+  this.showError();
+  if( this.pageItems.length ) {
+    this.showMediaInfo();
+  }
+};
+
+/**
+ * Offer the sources found in the network requests in the source picker of the current
+ * media of the page. If the extractors found nothing they make up a media of their own.
+ */
+PlayerOverlay.prototype.mergeDetectedSources = function() {
+  if( !this.detectedSources.length ) {
+    return;
+  }
+
+  if( !this.pageItems.length ) {
+    if( this.searchError ) {
+      this.searchError = null;
+      var item = new MediaDescriptor({
+        source: this.detectedSources[0].source,
+        sources: this.detectedSources.slice(),
+        title: document.title
+      });
+      item.addPageHeaders(window.location.href);
+      this.onMediaSourceSearchSuccess([item]);
+    }
+    return;
+  }
+
+  var descriptor = this.queue.getCurrent();
+  this.detectedSources.forEach(function(detected) {
+    var known = descriptor.sources.some(function(source) {
+      return source.source == detected.source;
+    });
+    if( !known ) {
+      descriptor.sources.push(detected);
+    }
+  });
+};
+
+/**
+ * Retry resoure search
+ */
+PlayerOverlay.prototype.retrySourceSearch = function() {
+  window.postMessage({ streamcast: 'command', type: 'search' }, window.location.origin);
+};
+
+
+/**
+ * Cast the media of the page, starting with the current one
+ */
+PlayerOverlay.prototype.launchApp = function() {
+  if( !this.queue.items.length || !this.state || this.state.connecting || this.state.receiverAvailable === false ) {
+    return;
+  }
+  document.getElementById("resume_offer").style.display = 'none';
+  this.client.send('cast', this.queue.items, this.queue.currentIndex, this.startTime);
+  this.startTime = 0;
+};
+
+/**
+ * Stop the receiver application
+ */
+PlayerOverlay.prototype.stopApp = function() {
+  this.client.send('stopApp');
+};
+
+/**
+ * Cast the current media starting at a position
+ * @param {Boolean} resume true to resume from the offered position, false to start over
+ */
+PlayerOverlay.prototype.startFrom = function(resume) {
+  if( !resume ) {
+    this.startTime = 0;
+  }
+  this.launchApp();
+};
+
+/**
+ * Play media in Cast mode
+ */
+PlayerOverlay.prototype.playMedia = function() {
+  this.client.send('playMedia');
+};
+
+/**
+ * Pause media playback in Cast mode
+ */
+PlayerOverlay.prototype.pauseMedia = function() {
+  this.client.send('pauseMedia');
+};
+
+/**
+ * Set media volume in Cast mode
+ * @param {Event} event A click on the volume slider
+ */
+PlayerOverlay.prototype.setReceiverVolume = function(event) {
+  var p = document.getElementById("audio_bg_level");
+  var pos = parseInt(event.offsetY);
+  var level = 1;
+
+  // add a drag to avoid loud volume
+  if( pos < 100 ) {
+    p.style.height = pos + 'px';
+    level = pos / 100;
+  }
+
+  this.client.send('setVolume', level);
+};
+
+/**
+ * Mute media function in either Cast or local mode
+ */
+PlayerOverlay.prototype.muteMedia = function() {
+  this.client.send('muteMedia');
+};
+
+/**
+ * @return {Boolean} true if the media has a known duration to seek in
+ */
+PlayerOverlay.prototype.canSeek = function() {
+  return this.state != null && !this.state.live && this.state.duration > 0;
+};
+
+/**
+ * Seek the media on the receiver
+ * @param {Number} time Seconds into the media, clamped to its duration
+ */
+PlayerOverlay.prototype.seekMedia = function(time) {
+  time = Math.max(0, Math.min(time, this.state.duration));
+  this.client.send('seekMedia', Math.floor(time));
+};
+
+/**
+ * The bar is measured on every event as its width follows the page width
+ * @param {PointerEvent} event A pointer event on the seek bar
+ * @return {Number} Seconds into the media under the pointer
+ */
+PlayerOverlay.prototype.getSeekTime = function(event) {
+  var rect = document.getElementById("progress_bar").getBoundingClientRect();
+  var ratio = rect.width > 0 ? (event.clientX - rect.left) / rect.width : 0;
+  return Math.max(0, Math.min(ratio, 1)) * this.state.duration;
+};
+
+/**
+ * Start dragging the seek bar, the pointer is captured so the drag
+ * goes on when it leaves the bar
+ * @param {PointerEvent} event
+ */
+PlayerOverlay.prototype.onSeekStart = function(event) {
+  if( !this.canSeek() || event.button !== 0 ) {
+    return;
+  }
+  event.preventDefault();
+
+  var bar = document.getElementById("progress_bar");
+  bar.setPointerCapture(event.pointerId);
+  bar.classList.add('dragging');
+  bar.focus();
+
+  this.seekTarget = this.getSeekTime(event);
+  this.showSeekTooltip(this.seekTarget);
+  this.renderProgress(this.seekTarget);
+};
+
+/**
+ * Show the time under the pointer and move the bar along while dragging
+ * @param {PointerEvent} event
+ */
+PlayerOverlay.prototype.onSeekMove = function(event) {
+  if( !this.canSeek() ) {
+    return;
+  }
+
+  var time = this.getSeekTime(event);
+  this.showSeekTooltip(time);
+  if( this.seekTarget != null ) {
+    this.seekTarget = time;
+    this.renderProgress(time);
+  }
+};
+
+/**
+ * Seek once to where the bar was released
+ * @param {PointerEvent} event
+ */
+PlayerOverlay.prototype.onSeekEnd = function(event) {
+  if( this.seekTarget == null ) {
+    return;
+  }
+
+  var time = this.getSeekTime(event);
+  this.seekTarget = null;
+  document.getElementById("progress_bar").classList.remove('dragging');
+  if( event.pointerType != 'mouse' ) {
+    this.hideSeekTooltip();
+  }
+
+  this.renderProgress(time);
+  this.seekMedia(time);
+};
+
+/**
+ * Drop a drag taken over by the browser, e.g. by a scroll gesture, without seeking
+ */
+PlayerOverlay.prototype.onSeekCancel = function() {
+  this.seekTarget = null;
+  document.getElementById("progress_bar").classList.remove('dragging');
+  this.hideSeekTooltip();
+  this.updateProgressBar();
+};
+
+/**
+ * Keys of the focused seek bar, as for a slider
+ * @param {KeyboardEvent} event
+ */
+PlayerOverlay.prototype.onSeekKey = function(event) {
+  if( !this.canSeek() ) {
+    return;
+  }
+
+  var time = this.state.currentTime;
+  switch( event.key )
+  {
+    case 'ArrowRight':
+    case 'ArrowUp':
+      time += Shortcuts.SEEK_STEP;
+      break;
+    case 'ArrowLeft':
+    case 'ArrowDown':
+      time -= Shortcuts.SEEK_STEP;
+      break;
+    case 'PageUp':
+      time += SEEK_PAGE_STEP;
+      break;
+    case 'PageDown':
+      time -= SEEK_PAGE_STEP;
+      break;
+    case 'Home':
+      time = 0;
+      break;
+    case 'End':
+      time = this.state.duration;
+      break;
+    default:
+      return;
+  }
+  event.preventDefault();
+  event.stopPropagation();
+
+  this.seekMedia(time);
+};
+
+/**
+ * @param {Number} time Seconds into the media shown above the pointer
+ */
+PlayerOverlay.prototype.showSeekTooltip = function(time) {
+  var tooltip = document.getElementById("seek_tooltip");
+  tooltip.textContent = PlayerClient.formatTime(time);
+  tooltip.style.left = 100 * time / this.state.duration + '%';
+  tooltip.style.display = 'block';
+};
+
+/**
+ * Hide the time shown above the pointer, unless the bar is dragged
+ */
+PlayerOverlay.prototype.hideSeekTooltip = function() {
+  if( this.seekTarget == null ) {
+    document.getElementById("seek_tooltip").style.display = 'none';
+  }
+};
+
+/**
+ * @param {Number} time Seconds into the media the bar is filled up to
+ */
+PlayerOverlay.prototype.renderProgress = function(time) {
+  var percent = Math.min(100 * time / this.state.duration, 100) + '%';
+  document.getElementById("progress").style.width = percent;
+  document.getElementById("progress_indicator").style.left = percent;
+};
+
+
+/**
+ * Update progress bar, its slider values and the duration label from the player state.
+ * The position is left alone while the user drags the bar.
+ */
+PlayerOverlay.prototype.updateProgressBar = function() {
+  var bar = document.getElementById("progress_bar");
+  var duration = document.getElementById("duration");
+
+  if( this.state.live ) {
+    // there is no end of a live stream, keep the bar filled
+    duration.innerHTML = "LIVE";
+    document.getElementById("progress").style.width = '100%';
+    document.getElementById("progress_indicator").style.left = '100%';
+    bar.setAttribute('aria-disabled', 'true');
+    bar.setAttribute('aria-valuetext', 'Live');
+    return;
+  }
+
+  bar.setAttribute('aria-disabled', String(!this.canSeek()));
+  if( !this.canSeek() ) {
+    document.getElementById("progress").style.width = '0%';
+    document.getElementById("progress_indicator").style.left = '0%';
+    bar.removeAttribute('aria-valuetext');
+    return;
+  }
+
+  duration.innerHTML = PlayerClient.formatTime(this.state.duration);
+  bar.setAttribute('aria-valuemax', Math.floor(this.state.duration));
+  bar.setAttribute('aria-valuenow', Math.floor(this.state.currentTime));
+  bar.setAttribute('aria-valuetext', PlayerClient.formatTime(this.state.currentTime) + ' of ' +
+    PlayerClient.formatTime(this.state.duration));
+
+  if( this.seekTarget == null ) {
+    this.renderProgress(this.state.currentTime);
+  }
+};
+
+
+/**
+ * Update media control UI components based on the device and player states
+ */
+PlayerOverlay.prototype.updateMediaControlUI = function() {
+
+  var playerState = this.state.playerState;
+
+  if( this.state.deviceState == DEVICE_STATE.ACTIVE || this.state.deviceState == DEVICE_STATE.WARNING ) {
+    document.getElementById("casticonactive").style.display = 'block';
+    document.getElementById("casticonidle").style.display = 'none';
+  }
+  else {
+    document.getElementById("casticonidle").style.display = 'block';
+    document.getElementById("casticonactive").style.display = 'none';
+  }
+
+  // a session with problems and a failed launch are marked on the cast icon
+  var deviceClass = '';
+  if( this.state.deviceState == DEVICE_STATE.WARNING ) {
+    deviceClass = 'device_warning';
+  }
+  else if( this.state.deviceState == DEVICE_STATE.ERROR ) {
+    deviceClass = 'device_error';
+  }
+  document.getElementById("casticonactive").className = deviceClass;
+
+  var idleClass = deviceClass;
+  if( this.state.connecting ) {
+    idleClass = 'connecting';
+  }
+  else if( this.state.receiverAvailable === false ) {
+    idleClass = 'unavailable';
+  }
+  document.getElementById("casticonidle").className = idleClass;
+  this.showReceiverStatus();
+
+  document.getElementById('audio_on').style.display = this.state.audio ? 'block' : 'none';
+  document.getElementById('audio_off').style.display = this.state.audio ? 'none' : 'block';
+
+  switch( playerState )
+  {
+    case PLAYER_STATE.LOADED:
+    case PLAYER_STATE.PLAYING:
+    case PLAYER_STATE.BUFFERING:
+      document.getElementById("play").style.display = 'none';
+      document.getElementById("pause").style.display = 'block';
+      this.enableElement(document.getElementById("play"));
+      this.enableElement(document.getElementById("duration"));
+      this.enableElement(document.getElementById("audio_on"));
+      this.enableElement(document.getElementById("audio_off"));
+      break;
+    case PLAYER_STATE.IDLE:
+      this.disableElement(document.getElementById("play"));
+      this.disableElement(document.getElementById("duration"));
+      this.disableElement(document.getElementById("audio_on"));
+      this.disableElement(document.getElementById("audio_off"));
+      break;
+    case PLAYER_STATE.PAUSED:
+    case PLAYER_STATE.LOADING:
+    case PLAYER_STATE.STOPPED:
+      document.getElementById("play").style.display = 'block';
+      document.getElementById("pause").style.display = 'none';
+      this.enableElement(document.getElementById("play"));
+      this.enableElement(document.getElementById("duration"));
+      this.enableElement(document.getElementById("audio_on"));
+      this.enableElement(document.getElementById("audio_off"));
+      break;
+    default:
+      break;
+  }
+}
+
+
+/**
+ * Tell which receiver is connected, or that there is none to connect to
+ */
+PlayerOverlay.prototype.showReceiverStatus = function() {
+  var status = '';
+  if( this.state.connecting ) {
+    status = "Connecting...";
+  }
+  else if( this.state.receiverName && this.state.deviceState != DEVICE_STATE.IDLE ) {
+    status = "Casting to " + this.state.receiverName;
+  }
+  else if( this.state.receiverAvailable === false ) {
+    status = "No Chromecast found on the network";
+  }
+  document.getElementById("receiver_status").textContent = status;
+};
+
+
+/**
+ * Helper class to disable player elements
+ */
+PlayerOverlay.prototype.disableElement = function(e) {
+  e.style.opacity = 0.2;
+  e.style.cursor = 'default';
+}
+
+
+/**
+ * Helper class to disable player elements
+ */
+PlayerOverlay.prototype.enableElement = function(e) {
+  e.style.opacity = 1.0;
+  e.style.cursor = 'pointer';
+}
+
+
+/**
+ * Show the media control
+ */
+PlayerOverlay.prototype.showMediaControl = function() {
+  clearTimeout(this.hideTimer);
+  document.getElementById('media_control').classList.add('shown');
+};
+
+/**
+ * Hide the media control after the delay set in the options
+ */
+PlayerOverlay.prototype.hideMediaControl = function() {
+  clearTimeout(this.hideTimer);
+  this.hideTimer = setTimeout(function() {
+    document.getElementById('media_control').classList.remove('shown');
+  }, this.settings.overlayHideDelay * 1000);
+};
+
+/**
+ * Show the volume slider
+ */
+PlayerOverlay.prototype.showVolumeSlider = function() {
+  if( this.state && this.state.audio && this.state.playerState != PLAYER_STATE.IDLE ) {
+      document.getElementById('audio_bg').style.opacity = 1;
+      document.getElementById('audio_bg_track').style.opacity = 1;
+      document.getElementById('audio_bg_level').style.opacity = 1;
+      document.getElementById('audio_indicator').style.opacity = 1;
+
+      document.getElementById('audio_bg').style.display = 'block';
+      document.getElementById('audio_bg_track').style.display = 'block';
+      document.getElementById('audio_bg_level').style.display = 'block';
+      document.getElementById('audio_indicator').style.display = 'block';
+  }
+};
+
+/**
+ * Hide the volume stlider
+ */
+PlayerOverlay.prototype.hideVolumeSlider = function() {
+  document.getElementById('audio_bg').style.opacity = 0;
+  document.getElementById('audio_bg_track').style.opacity = 0;
+  document.getElementById('audio_bg_level').style.opacity = 0;
+  document.getElementById('audio_indicator').style.opacity = 0;
+};
+
+
+/**
+ * Show title, qualities and format warning of the current queue item
+ */
+PlayerOverlay.prototype.showMediaInfo = function() {
+  var descriptor = this.getQueue().getCurrent();
+  if( descriptor == null ) {
+    return;
+  }
+
+  document.getElementById("media_title").textContent = descriptor.title;
+  document.getElementById("media_subtitle").textContent = descriptor.subtitle;
+  document.getElementById("media_info").style.display = 'inline-block';
+  document.getElementById("media_subtitle").style.display = descriptor.subtitle == "" ? "none" : "inline";
+
+  this.updateQualityPicker();
+  this.renderCaptionMenu();
+  this.renderQueue();
+  this.offerResume();
+
+  var warning = document.getElementById("media_warning");
+  if( ContentTypes.isSupported(descriptor.contentType) === false ) {
+    warning.textContent = "Format " + descriptor.contentType + " is not playable on Chromecast";
+    warning.style.display = 'inline';
+  }
+  else {
+    warning.style.display = 'none';
+  }
+};
+
+/**
+ * Offer to resume the current media of the page if it has been played before
+ */
+PlayerOverlay.prototype.offerResume = function() {
+  var offer = document.getElementById("resume_offer");
+  var descriptor = this.getQueue().getCurrent();
+
+  if( this.isCasting() || descriptor.live ) {
+    offer.style.display = 'none';
+    this.resumeSource = null;
+    return;
+  }
+  if( descriptor.source == this.resumeSource ) {
+    return;
+  }
+
+  offer.style.display = 'none';
+  this.startTime = 0;
+  this.resumeSource = descriptor.source;
+
+  this.client.request('resume.get', descriptor).then(function(entry) {
+    // the queue may have moved on meanwhile
+    if( descriptor != this.queue.getCurrent() || this.isCasting() || entry == null ) {
+      return;
+    }
+    this.startTime = entry.position;
+    document.getElementById("resume").textContent = "Resume from " + PlayerClient.formatTime(entry.position);
+    offer.style.display = 'inline';
+  }.bind(this), function(e) {
+    console.log("no resume position: " + e.message);
+  });
+};
+
+
+/**
+ * Update the up next list and the queue buttons
+ */
+PlayerOverlay.prototype.renderQueue = function() {
+  var queue = this.getQueue();
+  var list = document.getElementById("up_next");
+  list.innerHTML = '';
+
+  for( var i = queue.currentIndex + 1; i < queue.items.length; i++ ) {
+    var item = document.createElement('li');
+    item.textContent = queue.items[i].title;
+    item.addEventListener('click', this.jumpToMedia.bind(this, i));
+    list.appendChild(item);
+  }
+
+  if( queue.hasNext() ) {
+    this.enableElement(document.getElementById("queue_next"));
+  }
+  else {
+    this.disableElement(document.getElementById("queue_next"));
+  }
+  if( queue.hasPrevious() ) {
+    this.enableElement(document.getElementById("queue_prev"));
+  }
+  else {
+    this.disableElement(document.getElementById("queue_prev"));
+  }
+
+  // media of this page which are not part of the receiver's queue yet
+  var missing = this.isCasting() && this.pageItems.some(function(descriptor) {
+    return !queue.contains(descriptor);
+  });
+  document.getElementById("queue_add").style.display = missing ? 'block' : 'none';
+};
+
+/**
+ * Play the next item of the queue
+ */
+PlayerOverlay.prototype.nextMedia = function() {
+  if( this.isCasting() ) {
+    this.client.send('nextMedia');
+  }
+  else if( this.queue.hasNext() ) {
+    this.queue.select(this.queue.currentIndex + 1);
+    this.showMediaInfo();
+  }
+};
+
+/**
+ * Play the previous item of the queue
+ */
+PlayerOverlay.prototype.previousMedia = function() {
+  if( this.isCasting() ) {
+    this.client.send('previousMedia');
+  }
+  else if( this.queue.hasPrevious() ) {
+    this.queue.select(this.queue.currentIndex - 1);
+    this.showMediaInfo();
+  }
+};
+
+/**
+ * Play an item of the up next list
+ * @param {Number} index An index in the queue
+ */
+PlayerOverlay.prototype.jumpToMedia = function(index) {
+  if( this.isCasting() ) {
+    this.client.send('jumpToMedia', index);
+  }
+  else {
+    this.queue.select(index);
+    this.showMediaInfo();
+  }
+};
+
+/**
+ * Append the media of this page to the queue playing on the receiver,
+ * e.g. one started from another tab
+ */
+PlayerOverlay.prototype.addToQueue = function() {
+  this.client.send('addToQueue', this.pageItems);
+};
+
+
+/**
+ * Fill the quality picker with the sources of the media, the picker
+ * is only shown when there is a choice
+ */
+PlayerOverlay.prototype.updateQualityPicker = function() {
+  var descriptor = this.getQueue().getCurrent();
+  var sources = descriptor.sources;
+  var list = document.getElementById("quality_list");
+  list.innerHTML = '';
+
+  for( var i = 0; i < sources.length; i++ ) {
+    var item = document.createElement('li');
+    item.textContent = sources[i].label || ('Source ' + (i + 1));
+    if( i == descriptor.selectedSource ) {
+      item.className = 'selected';
+      document.getElementById("quality_label").textContent = item.textContent;
+    }
+    item.addEventListener('click', this.selectQuality.bind(this, i));
+    list.appendChild(item);
+  }
+
+  document.getElementById("quality").style.display = sources.length > 1 ? 'block' : 'none';
+};
+
+/**
+ * Show or hide the list of qualities
+ */
+PlayerOverlay.prototype.toggleQualityList = function() {
+  var list = document.getElementById("quality_list");
+  list.style.display = list.style.display == 'block' ? 'none' : 'block';
+};
+
+/**
+ * Switch to another source of the media. A running playback is
+ * reloaded with the new source at the current position.
+ * @param {Number} index An index in the sources of the media
+ */
+PlayerOverlay.prototype.selectQuality = function(index) {
+  document.getElementById("quality_list").style.display = 'none';
+  if( this.isCasting() ) {
+    this.client.send('selectQuality', index);
+    return;
+  }
+
+  var descriptor = this.queue.getCurrent();
+  descriptor.selectSource(index);
+  this.showMediaInfo();
+  ContentTypes.detect(descriptor).then(this.showMediaInfo.bind(this));
+};
+
+
+/**
+ * Fill the CC menu with the subtitle tracks of the media and the caption styles
+ */
+PlayerOverlay.prototype.renderCaptionMenu = function() {
+  var descriptor = this.getQueue().getCurrent();
+  var style = this.state || {};
+  var menu = document.getElementById("cc_menu");
+  var tracks = descriptor.textTracks;
+  menu.innerHTML = '';
+
+  var addItem = function(text, selected, onClick) {
+    var item = document.createElement('li');
+    item.textContent = text;
+    item.className = selected ? 'selected' : '';
+    item.addEventListener('click', onClick);
+    menu.appendChild(item);
+  };
+
+  addItem('Off', descriptor.activeTextTrack < 0, this.selectTextTrack.bind(this, -1));
+  for( var i = 0; i < tracks.length; i++ ) {
+    addItem(tracks[i].label, i == descriptor.activeTextTrack, this.selectTextTrack.bind(this, i));
+  }
+  addItem('Load subtitle file...', false, function() {
+    document.getElementById("cc_file").click();
+  });
+
+  for( var size in Subtitles.SIZES ) {
+    addItem('Size: ' + size, size == style.captionSize,
+      this.setCaptionStyle.bind(this, size, style.captionBackground));
+  }
+  for( var background in Subtitles.BACKGROUNDS ) {
+    addItem('Background: ' + background, background == style.captionBackground,
+      this.setCaptionStyle.bind(this, style.captionSize, background));
+  }
+
+  if( descriptor.activeTextTrack >= 0 ) {
+    document.getElementById("cc_label").className = 'active';
+  }
+  else {
+    document.getElementById("cc_label").className = '';
+  }
+};
+
+/**
+ * Show or hide the CC menu
+ */
+PlayerOverlay.prototype.toggleCaptionMenu = function() {
+  var menu = document.getElementById("cc_menu");
+  menu.style.display = menu.style.display == 'block' ? 'none' : 'block';
+};
+
+/**
+ * Show a subtitle track of the current media
+ * @param {Number} index An index in the text tracks of the media, -1 turns subtitles off
+ */
+PlayerOverlay.prototype.selectTextTrack = function(index) {
+  document.getElementById("cc_menu").style.display = 'none';
+  if( this.isCasting() ) {
+    this.client.send('selectTextTrack', index);
+    return;
+  }
+
+  this.queue.getCurrent().activeTextTrack = index;
+  this.renderCaptionMenu();
+};
+
+/**
+ * Change the look of the subtitles
+ * @param {string} size A key of Subtitles.SIZES
+ * @param {string} background A key of Subtitles.BACKGROUNDS
+ */
+PlayerOverlay.prototype.setCaptionStyle = function(size, background) {
+  document.getElementById("cc_menu").style.display = 'none';
+  this.client.send('setCaptionStyle', size, background);
+};
+
+/**
+ * Add a subtitle file chosen by the user to the current media
+ * @param {Event} event The change event of the file input
+ */
+PlayerOverlay.prototype.loadCaptionFile = function(event) {
+  var file = event.target.files[0];
+  if( !file ) {
+    return;
+  }
+  event.target.value = '';
+
+  Subtitles.readFile(file).then(function(track) {
+    if( this.isCasting() ) {
+      this.client.send('addTextTrack', track);
+      return;
+    }
+
+    var descriptor = this.queue.getCurrent();
+    descriptor.textTracks.push(track);
+    descriptor.activeTextTrack = descriptor.textTracks.length - 1;
+    this.renderCaptionMenu();
+  }.bind(this), function(e) {
+    console.log("subtitle file error: " + e);
+  });
+};
+
+
+  window.PlayerOverlay = PlayerOverlay;
+})();
@@ -0,0 +1,118 @@
+// Player state machine
+//
+// Holds the PLAYER_STATE of the cast media. Commands of the user and media
+// status updates of the receiver both go through transition(), which rejects
+// the transitions the table below does not allow and tells the listeners
+// about every change.
+
+
+(function() {
+  'use strict';
+
+
+/**
+ * States reachable from each state. The receiver may be joined in any
+ * playback state and may move on to the next queue item after the end.
+ */
+var TRANSITIONS = {
+  'IDLE': ['LOADING', 'PLAYING', 'PAUSED', 'BUFFERING', 'ERROR'],
+  'LOADING': ['LOADED', 'PLAYING', 'PAUSED', 'BUFFERING', 'IDLE', 'ERROR'],
+  'LOADED': ['PLAYING', 'PAUSED', 'BUFFERING', 'LOADING', 'STOPPED', 'IDLE', 'ERROR'],
+  'PLAYING': ['PAUSED', 'BUFFERING', 'SEEKING', 'LOADING', 'STOPPED', 'IDLE', 'ERROR'],
+  'PAUSED': ['PLAYING', 'BUFFERING', 'SEEKING', 'LOADING', 'STOPPED', 'IDLE', 'ERROR'],
+  'BUFFERING': ['PLAYING', 'PAUSED', 'SEEKING', 'LOADING', 'STOPPED', 'IDLE', 'ERROR'],
+  'SEEKING': ['PLAYING', 'PAUSED', 'BUFFERING', 'LOADING', 'STOPPED', 'IDLE', 'ERROR'],
+  'STOPPED': ['LOADING', 'PLAYING', 'BUFFERING', 'IDLE', 'ERROR'],
+  'ERROR': ['LOADING', 'IDLE']
+};
+
+
+var PlayerStateMachine = function() {
+  // @type {PLAYER_STATE} The current state
+  this.state = PLAYER_STATE.IDLE;
+
+  // @type {Array} functions called with the new and the previous state on every change
+  this.listeners = [];
+};
+
+/**
+ * @param {function} listener Called with the new and the previous state on every change
+ */
+PlayerStateMachine.prototype.addListener = function(listener) {
+  this.listeners.push(listener);
+};
+
+/**
+ * @param {PLAYER_STATE} state A state
+ * @return {Boolean} true if the current state may change to the state
+ */
+PlayerStateMachine.prototype.canTransition = function(state) {
+  return TRANSITIONS[this.state].indexOf(state) >= 0;
+};
+
+/**
+ * @param {PLAYER_STATE} state The new state
+ * @return {Boolean} true if the state changed, false if it is the
+ *   current state already or the transition is not allowed
+ */
+PlayerStateMachine.prototype.transition = function(state) {
+  if( state == this.state ) {
+    return false;
+  }
+  if( !this.canTransition(state) ) {
+    console.log("invalid player state transition " + this.state + " -> " + state);
+    return false;
+  }
+
+  var previous = this.state;
+  this.state = state;
+  this.listeners.forEach(function(listener) {
+    listener(state, previous);
+  });
+  return true;
+};
+
+/**
+ * Follows the state reported by the receiver
+ * @param {chrome.cast.media.Media} media A media session
+ * @return {Boolean} true if the state changed
+ */
+PlayerStateMachine.prototype.sync = function(media) {
+  return this.transition(PlayerStateMachine.fromReceiver(media));
+};
+
+/**
+ * @param {chrome.cast.media.Media} media A media session
+ * @return {PLAYER_STATE} The state matching the receiver's player state and idle reason
+ */
+PlayerStateMachine.fromReceiver = function(media) {
+  switch( media.playerState )
+  {
+    case chrome.cast.media.PlayerState.PLAYING:
+      return PLAYER_STATE.PLAYING;
+    case chrome.cast.media.PlayerState.PAUSED:
+      return PLAYER_STATE.PAUSED;
+    case chrome.cast.media.PlayerState.BUFFERING:
+      return PLAYER_STATE.BUFFERING;
+    default:
+      break;
+  }
+
+  switch( media.idleReason )
+  {
+    case chrome.cast.media.IdleReason.FINISHED:
+    case chrome.cast.media.IdleReason.CANCELLED:
+      return PLAYER_STATE.STOPPED;
+    case chrome.cast.media.IdleReason.INTERRUPTED:
+      // another media is being loaded
+      return PLAYER_STATE.LOADING;
+    case chrome.cast.media.IdleReason.ERROR:
+      return PLAYER_STATE.ERROR;
+    default:
+      return PLAYER_STATE.IDLE;
+  }
+};
+
+
+  window.PlayerStateMachine = PlayerStateMachine;
+})();
@@ -0,0 +1,148 @@
+// Player state machine tests
+//
+// Runs the state machine against a fake Cast media object, outside of the
+// browser: node js/playerStateMachine.test.js
+
+
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+
+/**
+ * The parts of the Cast API the state machine reads
+ */
+var chrome = {
+  cast: {
+    media: {
+      PlayerState: { IDLE: 'IDLE', PLAYING: 'PLAYING', PAUSED: 'PAUSED', BUFFERING: 'BUFFERING' },
+      IdleReason: { CANCELLED: 'CANCELLED', INTERRUPTED: 'INTERRUPTED', FINISHED: 'FINISHED', ERROR: 'ERROR' }
+    }
+  }
+};
+
+var context = { chrome: chrome, console: { log: function() {} } };
+context.window = context;
+vm.createContext(context);
+['playerStates.js', 'playerStateMachine.js'].forEach(function(file) {
+  vm.runInContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), context, { filename: file });
+});
+
+var PLAYER_STATE = context.PLAYER_STATE;
+var PlayerStateMachine = context.PlayerStateMachine;
+
+
+/**
+ * @param {string} playerState A chrome.cast.media.PlayerState
+ * @param {string} opt_idleReason A chrome.cast.media.IdleReason
+ * @return {Object} A media session as far as the state machine reads it
+ */
+var fakeMedia = function(playerState, opt_idleReason) {
+  return { playerState: playerState, idleReason: opt_idleReason || null };
+};
+
+/**
+ * @param {Array} states The states to go through from IDLE
+ * @return {PlayerStateMachine} A state machine in the last of the states
+ */
+var machineIn = function(states) {
+  var machine = new PlayerStateMachine();
+  states.forEach(function(state) {
+    assert.ok(machine.transition(state), 'setting up ' + state);
+  });
+  return machine;
+};
+
+
+var tests = {
+
+  'maps the player state of the receiver': function() {
+    var PlayerState = chrome.cast.media.PlayerState;
+    assert.strictEqual(PlayerStateMachine.fromReceiver(fakeMedia(PlayerState.PLAYING)), PLAYER_STATE.PLAYING);
+    assert.strictEqual(PlayerStateMachine.fromReceiver(fakeMedia(PlayerState.PAUSED)), PLAYER_STATE.PAUSED);
+    assert.strictEqual(PlayerStateMachine.fromReceiver(fakeMedia(PlayerState.BUFFERING)), PLAYER_STATE.BUFFERING);
+  },
+
+  'maps the idle reason of the receiver': function() {
+    var IDLE = chrome.cast.media.PlayerState.IDLE;
+    var IdleReason = chrome.cast.media.IdleReason;
+    assert.strictEqual(PlayerStateMachine.fromReceiver(fakeMedia(IDLE, IdleReason.FINISHED)), PLAYER_STATE.STOPPED);
+    assert.strictEqual(PlayerStateMachine.fromReceiver(fakeMedia(IDLE, IdleReason.CANCELLED)), PLAYER_STATE.STOPPED);
+    assert.strictEqual(PlayerStateMachine.fromReceiver(fakeMedia(IDLE, IdleReason.INTERRUPTED)), PLAYER_STATE.LOADING);
+    assert.strictEqual(PlayerStateMachine.fromReceiver(fakeMedia(IDLE, IdleReason.ERROR)), PLAYER_STATE.ERROR);
+    assert.strictEqual(PlayerStateMachine.fromReceiver(fakeMedia(IDLE)), PLAYER_STATE.IDLE);
+  },
+
+  'a paused media stays paused after a seek': function() {
+    var machine = machineIn([PLAYER_STATE.LOADING, PLAYER_STATE.PAUSED]);
+    assert.ok(machine.transition(PLAYER_STATE.SEEKING));
+    assert.ok(machine.sync(fakeMedia(chrome.cast.media.PlayerState.PAUSED)));
+    assert.strictEqual(machine.state, PLAYER_STATE.PAUSED);
+  },
+
+  'a playing media plays on after a seek': function() {
+    var machine = machineIn([PLAYER_STATE.LOADING, PLAYER_STATE.PLAYING, PLAYER_STATE.SEEKING]);
+    assert.ok(machine.sync(fakeMedia(chrome.cast.media.PlayerState.PLAYING)));
+    assert.strictEqual(machine.state, PLAYER_STATE.PLAYING);
+  },
+
+  'rejects the transitions the table does not allow': function() {
+    var rejected = [
+      [[], PLAYER_STATE.SEEKING],
+      [[], PLAYER_STATE.STOPPED],
+      [[], PLAYER_STATE.LOADED],
+      [[PLAYER_STATE.LOADING], PLAYER_STATE.SEEKING],
+      [[PLAYER_STATE.LOADING], PLAYER_STATE.STOPPED],
+      [[PLAYER_STATE.LOADING, PLAYER_STATE.PLAYING, PLAYER_STATE.STOPPED], PLAYER_STATE.SEEKING],
+      [[PLAYER_STATE.LOADING, PLAYER_STATE.PLAYING, PLAYER_STATE.STOPPED], PLAYER_STATE.PAUSED],
+      [[PLAYER_STATE.ERROR], PLAYER_STATE.PLAYING],
+      [[PLAYER_STATE.ERROR], PLAYER_STATE.PAUSED]
+    ];
+
+    rejected.forEach(function(entry) {
+      var machine = machineIn(entry[0]);
+      var from = machine.state;
+      assert.strictEqual(machine.canTransition(entry[1]), false, from + ' -> ' + entry[1]);
+      assert.strictEqual(machine.transition(entry[1]), false, from + ' -> ' + entry[1]);
+      assert.strictEqual(machine.state, from);
+    });
+  },
+
+  'ignores the receiver reporting a state it can not reach': function() {
+    var machine = machineIn([PLAYER_STATE.ERROR]);
+    assert.strictEqual(machine.sync(fakeMedia(chrome.cast.media.PlayerState.PLAYING)), false);
+    assert.strictEqual(machine.state, PLAYER_STATE.ERROR);
+  },
+
+  'tells the listeners about changes only': function() {
+    var machine = new PlayerStateMachine();
+    var changes = [];
+    machine.addListener(function(state, previous) {
+      changes.push(previous + ' -> ' + state);
+    });
+
+    machine.transition(PLAYER_STATE.LOADING);
+    machine.transition(PLAYER_STATE.LOADING);
+    machine.transition(PLAYER_STATE.SEEKING);
+    machine.sync(fakeMedia(chrome.cast.media.PlayerState.PLAYING));
+
+    assert.deepStrictEqual(changes, ['IDLE -> LOADING', 'LOADING -> PLAYING']);
+  }
+};
+
+
+var failed = 0;
+Object.keys(tests).forEach(function(name) {
+  try {
+    tests[name]();
+    console.log('ok - ' + name);
+  }
+  catch( e ) {
+    failed++;
+    console.log('not ok - ' + name + '\n  ' + e.message);
+  }
+});
+process.exitCode = failed ? 1 : 0;
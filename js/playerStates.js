@@ -0,0 +1,39 @@
+// Player states
+//
+// States of the Chromecast device and of the media playing on it. The
+// background page tracks them, the views render them.
+
+
+(function() {
+  'use strict';
+
+
+/**
+ * Constants of states for Chromecast device 
+ **/
+var DEVICE_STATE = {
+  'IDLE' : 0, 
+  'ACTIVE' : 1, 
+  'WARNING' : 2, 
+  'ERROR' : 3
+};
+
+/**
+ * Constants of states for CastPlayer 
+ **/
+var PLAYER_STATE = {
+  'IDLE' : 'IDLE', 
+  'LOADING' : 'LOADING', 
+  'LOADED' : 'LOADED', 
+  'PLAYING' : 'PLAYING',
+  'PAUSED' : 'PAUSED',
+  'BUFFERING' : 'BUFFERING',
+  'STOPPED' : 'STOPPED',
+  'SEEKING' : 'SEEKING',
+  'ERROR' : 'ERROR'
+};
+
+
+  window.DEVICE_STATE = DEVICE_STATE;
+  window.PLAYER_STATE = PLAYER_STATE;
+})();
@@ -0,0 +1,130 @@
+// Popup
+//
+// Cast controls of the toolbar button, usable from any tab. Like the overlay
+// it renders the state of the Cast session owned by the background page.
+
+
+(function() {
+  'use strict';
+
+
+/**
+ * @param {PlayerClient} client The connection to the background page
+ */
+var PlayerPopup = function(client) {
+  // @type {PlayerClient} The connection to the background page
+  this.client = client;
+
+  // @type {Object} The player state last sent by the background page
+  this.state = null;
+
+  // @type {Boolean} true while the seek slider is dragged, its position is not updated meanwhile
+  this.seeking = false;
+
+  this.initializeUI();
+  this.client.addStateListener(this.onStateChange.bind(this));
+};
+
+/**
+ * Initialize UI components and add event listeners
+ */
+PlayerPopup.prototype.initializeUI = function() {
+  document.getElementById("play").addEventListener('click', this.client.send.bind(this.client, 'playMedia'));
+  document.getElementById("pause").addEventListener('click', this.client.send.bind(this.client, 'pauseMedia'));
+  document.getElementById("audio_on").addEventListener('click', this.client.send.bind(this.client, 'muteMedia'));
+  document.getElementById("audio_off").addEventListener('click', this.client.send.bind(this.client, 'muteMedia'));
+  document.getElementById("stop").addEventListener('click', this.client.send.bind(this.client, 'stopApp'));
+
+  var seek = document.getElementById("seek");
+  seek.addEventListener('input', this.onSeekInput.bind(this));
+  seek.addEventListener('change', this.onSeekChange.bind(this));
+
+  document.getElementById("volume").addEventListener('change', function(event) {
+    this.client.send('setVolume', parseFloat(event.target.value));
+  }.bind(this));
+};
+
+/**
+ * Show the position the seek slider is dragged to
+ * @param {Event} event The input event of the seek slider
+ */
+PlayerPopup.prototype.onSeekInput = function(event) {
+  this.seeking = true;
+  this.showTime(parseInt(event.target.value));
+};
+
+/**
+ * Seek to the position the slider was released at
+ * @param {Event} event The change event of the seek slider
+ */
+PlayerPopup.prototype.onSeekChange = function(event) {
+  this.seeking = false;
+  this.client.send('seekMedia', parseInt(event.target.value));
+};
+
+/**
+ * @param {Number} currentTime The position to show in seconds
+ */
+PlayerPopup.prototype.showTime = function(currentTime) {
+  var time = document.getElementById("time");
+  if( this.state.live ) {
+    time.textContent = "LIVE";
+  }
+  else {
+    time.textContent = PlayerClient.formatTime(currentTime) + ' / ' +
+      PlayerClient.formatTime(Math.max(this.state.duration, 0));
+  }
+};
+
+/**
+ * Render a new state of the background player
+ * @param {Object} state A state returned by CastPlayer.getState
+ */
+PlayerPopup.prototype.onStateChange = function(state) {
+  this.state = state;
+
+  var error = document.getElementById("error");
+  error.textContent = state.error ? state.error.message : '';
+  error.style.display = state.error ? 'block' : 'none';
+
+  var media = state.casting ? state.queue.items[state.queue.currentIndex] : null;
+  var idle = document.getElementById("idle");
+  idle.textContent = state.receiverAvailable === false ? "No Chromecast found on the network" :
+    "Nothing is being cast";
+  idle.style.display = media ? 'none' : 'block';
+  document.getElementById("now_playing").style.display = media ? 'block' : 'none';
+  if( !media ) {
+    return;
+  }
+
+  document.getElementById("title").textContent = media.title;
+  document.getElementById("receiver").textContent = state.receiverName ? "on " + state.receiverName : '';
+  var thumb = document.getElementById("thumb");
+  thumb.style.display = media.thumb ? 'block' : 'none';
+  if( media.thumb && thumb.getAttribute('src') != media.thumb ) {
+    thumb.src = media.thumb;
+  }
+
+  var seek = document.getElementById("seek");
+  seek.disabled = state.live || state.duration <= 0;
+  if( !this.seeking ) {
+    seek.max = Math.max(state.duration, 0);
+    seek.value = state.currentTime;
+    this.showTime(state.currentTime);
+  }
+
+  var playing = state.playerState == PLAYER_STATE.PLAYING || state.playerState == PLAYER_STATE.LOADED ||
+    state.playerState == PLAYER_STATE.BUFFERING;
+  document.getElementById("play").style.display = playing ? 'none' : 'block';
+  document.getElementById("pause").style.display = playing ? 'block' : 'none';
+
+  document.getElementById("audio_on").style.display = state.audio ? 'block' : 'none';
+  document.getElementById("audio_off").style.display = state.audio ? 'none' : 'block';
+  document.getElementById("volume").value = state.volume;
+};
+
+
+document.addEventListener('DOMContentLoaded', function() {
+  new PlayerPopup(new PlayerClient('popup'));
+});
+})();
@@ -0,0 +1,90 @@
+// Progress tracker
+//
+// The receiver only reports the playback position with its media status. The
+// tracker keeps the last reported position and adds the wall-clock time since
+// then, scaled by the playback rate, as long as the media is playing. Paused
+// and buffering media do not advance.
+
+
+(function() {
+  'use strict';
+
+
+var ProgressTracker = function() {
+  // @type {Number} position in seconds at the last report
+  this.baseTime = 0;
+
+  // @type {Number} Date.now() of the last report
+  this.baseTimestamp = Date.now();
+
+  // @type {Number} playback speed, 1 for normal speed
+  this.playbackRate = 1;
+
+  // @type {Boolean} true while the media plays, false when paused, buffering or idle
+  this.advancing = false;
+
+  // @type {Number} duration in seconds, -1 if unknown or live
+  this.duration = -1;
+};
+
+/**
+ * Takes the position of a media status
+ * @param {chrome.cast.media.Media} media A media session
+ */
+ProgressTracker.prototype.update = function(media) {
+  this.baseTime = media.currentTime || 0;
+  this.baseTimestamp = Date.now();
+  this.playbackRate = media.playbackRate || 1;
+  this.advancing = media.playerState == chrome.cast.media.PlayerState.PLAYING;
+};
+
+/**
+ * Moves to a position before the receiver confirms it, e.g. on seek
+ * @param {Number} time A position in seconds
+ */
+ProgressTracker.prototype.setTime = function(time) {
+  this.baseTime = time;
+  this.baseTimestamp = Date.now();
+};
+
+/**
+ * @param {Boolean} advancing true if the media plays
+ */
+ProgressTracker.prototype.setAdvancing = function(advancing) {
+  this.setTime(this.getCurrentTime());
+  this.advancing = advancing;
+};
+
+/**
+ * @param {Number} duration Duration in seconds, -1 if unknown or live
+ */
+ProgressTracker.prototype.setDuration = function(duration) {
+  this.duration = duration;
+};
+
+/**
+ * @return {Number} The estimated position in seconds, never past the duration
+ */
+ProgressTracker.prototype.getCurrentTime = function() {
+  var time = this.baseTime;
+  if( this.advancing ) {
+    time += (Date.now() - this.baseTimestamp) / 1000 * this.playbackRate;
+  }
+  if( this.duration > 0 ) {
+    time = Math.min(time, this.duration);
+  }
+  return Math.max(time, 0);
+};
+
+/**
+ * Back to the start, e.g. when the media session ended
+ */
+ProgressTracker.prototype.reset = function() {
+  this.setTime(0);
+  this.advancing = false;
+  this.duration = -1;
+};
+
+
+  window.ProgressTracker = ProgressTracker;
+})();
@@ -0,0 +1,143 @@
+// Resume positions
+//
+// Remembers how far each media has been watched. Entries live in the extension
+// storage of the background page, they are keyed by the normalized source URL
+// and by the title since many hosts hand out a new URL per visit.
+
+
+(function() {
+  'use strict';
+
+
+/**
+ * Part of the duration after which a media counts as watched
+ */
+var WATCHED_THRESHOLD = 0.9;
+
+/**
+ * Positions in seconds below which there is nothing to resume
+ */
+var MIN_RESUME_POSITION = 30;
+
+/**
+ * Number of entries kept, the oldest ones are dropped
+ */
+var MAX_RESUME_ENTRIES = 500;
+
+/**
+ * Prefix of the storage keys of the entries
+ */
+var KEY_PREFIX = 'resume:';
+
+
+var ResumeStore = {
+
+  WATCHED_THRESHOLD: WATCHED_THRESHOLD,
+
+  /**
+   * Drops protocol, www. prefix, query and fragment, which are
+   * often session tokens
+   * @param {string} url A media URL
+   * @return {string} The normalized URL
+   */
+  normalizeUrl: function(url) {
+    var parsed = new URL(url, window.location.href);
+    return parsed.host.replace(/^www\./, '') + parsed.pathname;
+  },
+
+  /**
+   * @param {MediaDescriptor} descriptor A media descriptor
+   * @return {Array} The storage keys of the media
+   */
+  getKeys: function(descriptor) {
+    var keys = [KEY_PREFIX + 'url:' + ResumeStore.normalizeUrl(descriptor.source)];
+    if( descriptor.title && descriptor.title != 'Unknown' ) {
+      keys.push(KEY_PREFIX + 'title:' + descriptor.title.trim().toLowerCase());
+    }
+    return keys;
+  },
+
+  /**
+   * @param {MediaDescriptor} descriptor A media descriptor
+   * @return {Promise} Resolved with the entry, an object with position, duration,
+   *   watched and updated members, or null if the media has not been played yet
+   */
+  load: function(descriptor) {
+    var keys = ResumeStore.getKeys(descriptor);
+
+    return new Promise(function(resolve) {
+      chrome.storage.local.get(keys, function(items) {
+        for( var i = 0; i < keys.length; i++ ) {
+          if( items[keys[i]] ) {
+            resolve(items[keys[i]]);
+            return;
+          }
+        }
+        resolve(null);
+      });
+    });
+  },
+
+  /**
+   * @param {MediaDescriptor} descriptor A media descriptor
+   * @param {Number} position Seconds played
+   * @param {Number} duration Duration of the media in seconds
+   * @return {Promise} Resolved once stored
+   */
+  save: function(descriptor, position, duration) {
+    var watched = duration > 0 && position >= duration * WATCHED_THRESHOLD;
+    var entry = {
+      position: watched ? 0 : Math.floor(position),
+      duration: duration,
+      watched: watched,
+      updated: Date.now()
+    };
+
+    var items = {};
+    ResumeStore.getKeys(descriptor).forEach(function(key) {
+      items[key] = entry;
+    });
+
+    return new Promise(function(resolve, reject) {
+      chrome.storage.local.set(items, function() {
+        if( chrome.runtime.lastError ) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        ResumeStore.prune();
+        resolve();
+      });
+    });
+  },
+
+  /**
+   * Drops the oldest entries
+   */
+  prune: function() {
+    chrome.storage.local.get(null, function(items) {
+      var keys = Object.keys(items).filter(function(key) {
+        return key.indexOf(KEY_PREFIX) == 0;
+      });
+      if( keys.length <= MAX_RESUME_ENTRIES ) {
+        return;
+      }
+
+      keys.sort(function(a, b) {
+        return items[a].updated - items[b].updated;
+      });
+      chrome.storage.local.remove(keys.slice(0, keys.length - MAX_RESUME_ENTRIES));
+    });
+  },
+
+  /**
+   * @param {Object} entry An entry returned by load
+   * @return {Boolean} true if playback should be offered to resume from the entry
+   */
+  canResume: function(entry) {
+    return entry != null && !entry.watched && entry.position >= MIN_RESUME_POSITION;
+  }
+};
+
+
+  window.ResumeStore = ResumeStore;
+})();
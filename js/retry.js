@@ -0,0 +1,159 @@
+// Retry
+//
+// Runs an asynchronous step again until it succeeds, waiting longer after
+// each failure. The extractors use it to wait for players which set up their
+// media late. Runs are cancelled with an AbortSignal, e.g. when the user
+// starts the search again.
+
+
+(function(scope) {
+  'use strict';
+
+
+/**
+ * Default options of Retry.run
+ */
+var DEFAULTS = {
+  maxAttempts: 5,
+  initialDelay: 1000,
+  maxDelay: 10000,
+  factor: 2,
+  timeout: 0
+};
+
+
+var Retry = {
+
+  /**
+   * @param {Error} error An error a run rejected with
+   * @return {Boolean} true if the run was cancelled and nothing should be reported
+   */
+  isCancelled: function(error) {
+    return error != null && error.name == 'AbortError';
+  },
+
+  /**
+   * @return {Error} The error of a cancelled run
+   */
+  cancelledError: function() {
+    var error = new Error('cancelled');
+    error.name = 'AbortError';
+    return error;
+  },
+
+  /**
+   * @param {Number} attempt The number of the failed attempt, starting at 1
+   * @param {Object} options The options of the run
+   * @return {Number} Milliseconds to wait before the next attempt
+   */
+  getDelay: function(attempt, options) {
+    return Math.min(options.initialDelay * Math.pow(options.factor, attempt - 1), options.maxDelay);
+  },
+
+  /**
+   * @param {Number} ms Milliseconds to wait
+   * @param {AbortSignal} signal Cancels the wait
+   * @return {Promise} Resolved after ms, rejected with an AbortError when cancelled
+   */
+  wait: function(ms, signal) {
+    return new Promise(function(resolve, reject) {
+      var onAbort = function() {
+        clearTimeout(timer);
+        reject(Retry.cancelledError());
+      };
+      var timer = setTimeout(function() {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal.addEventListener('abort', onAbort);
+    });
+  },
+
+  /**
+   * Runs step until the Promise it returns resolves
+   * @param {function} step Called with the number of the attempt and an AbortSignal
+   *   the step should stop its work on, returns a Promise rejected when the attempt failed
+   * @param {Object} opt_options Members overriding DEFAULTS:
+   *  - maxAttempts: the max number of attempts
+   *  - initialDelay: milliseconds to wait after the first failure, it grows by factor
+   *    after each one up to maxDelay
+   *  - timeout: milliseconds after which the run fails, 0 for no limit
+   *  - signal: an AbortSignal cancelling the run
+   *  - onAttempt: called with the number of the attempt and maxAttempts before each attempt
+   * @return {Promise} Resolved with the result of the successful attempt, rejected with the
+   *   error of the last one, with an Error on timeout or with an AbortError when cancelled
+   */
+  run: function(step, opt_options) {
+    var options = {};
+    for( var name in DEFAULTS ) {
+      options[name] = opt_options && opt_options[name] != undefined ? opt_options[name] : DEFAULTS[name];
+    }
+
+    // cancels the running attempt on timeout as well
+    var controller = new AbortController();
+    var signal = controller.signal;
+    var outerSignal = opt_options && opt_options.signal;
+    var onAttempt = opt_options && opt_options.onAttempt;
+
+    return new Promise(function(resolve, reject) {
+      var timer = null;
+      var finish = function(settle, value) {
+        clearTimeout(timer);
+        if( outerSignal ) {
+          outerSignal.removeEventListener('abort', onAbort);
+        }
+        if( !signal.aborted ) {
+          controller.abort();
+        }
+        settle(value);
+      };
+      var onAbort = function() {
+        finish(reject, Retry.cancelledError());
+      };
+
+      if( outerSignal ) {
+        if( outerSignal.aborted ) {
+          reject(Retry.cancelledError());
+          return;
+        }
+        outerSignal.addEventListener('abort', onAbort);
+      }
+      if( options.timeout ) {
+        timer = setTimeout(function() {
+          finish(reject, new Error('timed out after ' + options.timeout / 1000 + ' seconds'));
+        }, options.timeout);
+      }
+
+      var attempt = function(number) {
+        if( onAttempt ) {
+          onAttempt(number, options.maxAttempts);
+        }
+
+        new Promise(function(result) {
+          result(step(number, signal));
+        }).then(function(value) {
+          if( !signal.aborted ) {
+            finish(resolve, value);
+          }
+        }, function(error) {
+          if( signal.aborted ) {
+            return;
+          }
+          if( number >= options.maxAttempts ) {
+            finish(reject, error);
+            return;
+          }
+          Retry.wait(Retry.getDelay(number, options), signal).then(attempt.bind(null, number + 1), function() {
+            // cancelled or timed out, the run is settled already
+          });
+        });
+      };
+
+      attempt(1);
+    });
+  }
+};
+
+
+  scope.Retry = Retry;
+})(window.MovieCast || window);
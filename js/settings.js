@@ -0,0 +1,133 @@
+// Settings
+//
+// Extension-wide settings edited in the options page. They are kept in the
+// synced storage as one object, settings the user never changed take their
+// default value.
+
+
+(function(scope) {
+  'use strict';
+
+
+/**
+ * Storage key of the settings
+ */
+var STORAGE_KEY = 'settings';
+
+/**
+ * Default value of every setting
+ */
+var DEFAULTS = {
+  // Cast application ID of a custom receiver, empty for the default media receiver
+  receiverAppId: '',
+
+  // receiver volume between 0 and 1 set when a session starts
+  defaultVolume: 0.5,
+
+  // start playback as soon as the media is loaded
+  autoplay: true,
+
+  // number of times the extractors look for the media of a page
+  searchAttempts: 5,
+
+  // seconds between the first two attempts, the wait doubles after each one
+  searchInterval: 1,
+
+  // names of the extractors not to run, see extractorRegistry
+  disabledExtractors: [],
+
+  // offer the media found in the network requests of the tabs, needs the access to all sites
+  networkDetection: false,
+
+  // 'top' or 'bottom' of the page
+  overlayPosition: 'top',
+
+  // seconds the overlay stays visible after the mouse left it
+  overlayHideDelay: 0,
+
+  // highest source height picked when a media comes in several qualities, 0 for the best one
+  preferredQuality: 0,
+
+  // load the streams through the local relay, which adds the headers the hosts want,
+  // needs the access to all sites for their cookies
+  relayMode: false,
+
+  // address the relay listens on, see relay/relay.js
+  relayAddress: 'http://127.0.0.1:8765'
+};
+
+
+var Settings = {
+
+  DEFAULTS: DEFAULTS,
+
+  /**
+   * @param {Object} saved Settings read from the storage
+   * @return {Object} Every setting, the defaults completed with the saved values
+   */
+  withDefaults: function(saved) {
+    var settings = {};
+    for( var name in DEFAULTS ) {
+      settings[name] = saved && saved[name] !== undefined ? saved[name] : DEFAULTS[name];
+    }
+    return settings;
+  },
+
+  /**
+   * The pages only get the settings of the video search, any script of a page can ask for them
+   * @param {Object} settings Every setting by name
+   * @return {Object} The settings searchAttempts, searchInterval and disabledExtractors
+   */
+  getSearchSettings: function(settings) {
+    return {
+      searchAttempts: settings.searchAttempts,
+      searchInterval: settings.searchInterval,
+      disabledExtractors: settings.disabledExtractors
+    };
+  },
+
+  /**
+   * @return {Promise} Resolved with every setting by name
+   */
+  load: function() {
+    return new Promise(function(resolve) {
+      chrome.storage.sync.get(STORAGE_KEY, function(items) {
+        resolve(Settings.withDefaults(items[STORAGE_KEY]));
+      });
+    });
+  },
+
+  /**
+   * @param {Object} settings Every setting by name
+   * @return {Promise} Resolved once stored
+   */
+  save: function(settings) {
+    var items = {};
+    items[STORAGE_KEY] = Settings.withDefaults(settings);
+
+    return new Promise(function(resolve, reject) {
+      chrome.storage.sync.set(items, function() {
+        if( chrome.runtime.lastError ) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve();
+      });
+    });
+  },
+
+  /**
+   * @param {function} listener Called with every setting by name whenever the user changes one
+   */
+  onChanged: function(listener) {
+    chrome.storage.onChanged.addListener(function(changes, area) {
+      if( area == 'sync' && changes[STORAGE_KEY] ) {
+        listener(Settings.withDefaults(changes[STORAGE_KEY].newValue));
+      }
+    });
+  }
+};
+
+
+  scope.Settings = Settings;
+})(window.MovieCast || window);
@@ -0,0 +1,144 @@
+// Keyboard shortcuts
+//
+// Actions of the player which can be bound to a key. The overlay handles the
+// keys while casting, the background page runs the extension commands of the
+// manifest (media keys) which carry the same names. Users rebind the overlay
+// keys in the options page, the bindings are kept in the synced storage.
+
+
+(function() {
+  'use strict';
+
+
+/**
+ * Seconds a seek shortcut moves the playback
+ */
+var SEEK_STEP = 10;
+
+/**
+ * Volume change of a volume shortcut
+ */
+var VOLUME_STEP = 0.1;
+
+/**
+ * Storage key of the user bindings
+ */
+var STORAGE_KEY = 'shortcuts';
+
+/**
+ * Actions by name, each with a label, the default key (a KeyboardEvent key
+ * value, empty for none) and the CastPlayer command it runs with its arguments
+ */
+var ACTIONS = {
+  'togglePlay': { label: 'Play / pause', key: ' ', command: 'togglePlayback', args: [] },
+  'seekForward': { label: 'Seek forward ' + SEEK_STEP + ' seconds', key: 'ArrowRight', command: 'seekBy', args: [SEEK_STEP] },
+  'seekBackward': { label: 'Seek back ' + SEEK_STEP + ' seconds', key: 'ArrowLeft', command: 'seekBy', args: [-SEEK_STEP] },
+  'volumeUp': { label: 'Volume up', key: 'ArrowUp', command: 'changeVolume', args: [VOLUME_STEP] },
+  'volumeDown': { label: 'Volume down', key: 'ArrowDown', command: 'changeVolume', args: [-VOLUME_STEP] },
+  'mute': { label: 'Mute / unmute', key: 'm', command: 'muteMedia', args: [] },
+  'nextMedia': { label: 'Next in queue', key: 'n', command: 'nextMedia', args: [] },
+  'previousMedia': { label: 'Previous in queue', key: 'p', command: 'previousMedia', args: [] },
+  'stop': { label: 'Stop casting', key: '', command: 'stopApp', args: [] }
+};
+
+
+var Shortcuts = {
+
+  ACTIONS: ACTIONS,
+
+  SEEK_STEP: SEEK_STEP,
+
+  /**
+   * @return {Object} The default key of every action by action name
+   */
+  getDefaults: function() {
+    var bindings = {};
+    for( var name in ACTIONS ) {
+      bindings[name] = ACTIONS[name].key;
+    }
+    return bindings;
+  },
+
+  /**
+   * @return {Promise} Resolved with the key of every action by action name,
+   *   the defaults completed with the bindings of the user
+   */
+  load: function() {
+    return new Promise(function(resolve) {
+      chrome.storage.sync.get(STORAGE_KEY, function(items) {
+        var bindings = Shortcuts.getDefaults();
+        var saved = items[STORAGE_KEY] || {};
+        for( var name in saved ) {
+          if( ACTIONS[name] ) {
+            bindings[name] = saved[name];
+          }
+        }
+        resolve(bindings);
+      });
+    });
+  },
+
+  /**
+   * @param {Object} bindings The key of every action by action name
+   * @return {Promise} Resolved once stored
+   */
+  save: function(bindings) {
+    var items = {};
+    items[STORAGE_KEY] = bindings;
+
+    return new Promise(function(resolve, reject) {
+      chrome.storage.sync.set(items, function() {
+        if( chrome.runtime.lastError ) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve();
+      });
+    });
+  },
+
+  /**
+   * @param {function} listener Called with the new bindings whenever the user changes them
+   */
+  onChanged: function(listener) {
+    chrome.storage.onChanged.addListener(function(changes, area) {
+      if( area == 'sync' && changes[STORAGE_KEY] ) {
+        Shortcuts.load().then(listener);
+      }
+    });
+  },
+
+  /**
+   * @param {Object} bindings The key of every action by action name
+   * @param {KeyboardEvent} event A key press
+   * @return {string} The name of the action bound to the key or null,
+   *   keys pressed with Ctrl, Alt, Meta or Shift are left to the browser
+   */
+  getAction: function(bindings, event) {
+    if( event.ctrlKey || event.altKey || event.metaKey || event.shiftKey ) {
+      return null;
+    }
+    var key = event.key.toLowerCase();
+    for( var name in bindings ) {
+      if( bindings[name] && bindings[name].toLowerCase() == key ) {
+        return name;
+      }
+    }
+    return null;
+  },
+
+  /**
+   * @param {string} key A KeyboardEvent key value
+   * @return {string} The key as shown to the user
+   */
+  describeKey: function(key) {
+    if( key == ' ' ) {
+      return 'Space';
+    }
+    return key.length == 1 ? key.toUpperCase() : key;
+  }
+};
+
+
+  window.Shortcuts = Shortcuts;
+})();
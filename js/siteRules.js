@@ -0,0 +1,219 @@
+// Site rules
+//
+// Rules created in the options page make the player find the media of sites
+// without an extractor of their own. They are kept in the local storage of the
+// extension and can be exported and imported as JSON. A rule is an object with
+// the members:
+//  - name: unique name of the rule
+//  - hosts: host names the rule applies to, subdomains match as well
+//  - sourceSelector: CSS selector of the element holding the media URL
+//  - sourceAttribute: attribute of that element holding the URL, 'src' if missing
+//  - sourcePattern: regular expression run against the inline scripts of the page
+//    when the selector finds nothing, its first group is the media URL
+//  - titleSelector: CSS selector of the element holding the title, optional
+//  - thumbSelector: CSS selector of the poster image or meta tag, optional
+// Either sourceSelector or sourcePattern is needed. The rules are turned into
+// extractors in the page by js/extractors/siteRuleExtractor.js. The hosts of a
+// rule are optional permissions of the extension, pages only get the rules
+// whose hosts the user allowed.
+
+
+(function() {
+  'use strict';
+
+
+/**
+ * Storage key of the rules
+ */
+var STORAGE_KEY = 'siteRules';
+
+/**
+ * Members of a rule holding a string
+ */
+var STRING_MEMBERS = ['name', 'sourceSelector', 'sourceAttribute', 'sourcePattern', 'titleSelector', 'thumbSelector'];
+
+
+var SiteRules = {
+
+  /**
+   * @param {Object} rule A rule, e.g. parsed from an imported file
+   * @return {Object} The rule with its known members only
+   * @throws {Error} Naming the first invalid member
+   */
+  validate: function(rule) {
+    if( !rule || typeof rule != 'object' ) {
+      throw new Error('A rule is an object');
+    }
+
+    var valid = {};
+    STRING_MEMBERS.forEach(function(member) {
+      if( rule[member] != undefined && typeof rule[member] != 'string' ) {
+        throw new Error(member + ' of rule ' + rule.name + ' is not a string');
+      }
+      if( rule[member] ) {
+        valid[member] = rule[member].trim();
+      }
+    });
+
+    if( !valid.name ) {
+      throw new Error('A rule needs a name');
+    }
+    if( !Array.isArray(rule.hosts) || !rule.hosts.length || rule.hosts.some(function(host) {
+      return typeof host != 'string' || !/^[a-z0-9.-]+$/i.test(host);
+    }) ) {
+      throw new Error('Rule ' + valid.name + ' needs host names like example.com');
+    }
+    valid.hosts = rule.hosts.map(function(host) {
+      return host.toLowerCase();
+    });
+
+    if( !valid.sourceSelector && !valid.sourcePattern ) {
+      throw new Error('Rule ' + valid.name + ' needs a source selector or a script pattern');
+    }
+    ['sourceSelector', 'titleSelector', 'thumbSelector'].forEach(function(member) {
+      if( valid[member] ) {
+        try {
+          document.createDocumentFragment().querySelector(valid[member]);
+        }
+        catch(e) {
+          throw new Error(member + ' of rule ' + valid.name + ' is no CSS selector');
+        }
+      }
+    });
+    if( valid.sourcePattern ) {
+      var groups;
+      try {
+        groups = new RegExp(valid.sourcePattern + '|').exec('').length - 1;
+      }
+      catch(e) {
+        throw new Error('sourcePattern of rule ' + valid.name + ' is no regular expression');
+      }
+      if( groups < 1 ) {
+        throw new Error('sourcePattern of rule ' + valid.name + ' needs a group around the URL');
+      }
+    }
+
+    return valid;
+  },
+
+  /**
+   * @param {string} json Rules exported by toJson
+   * @return {Array} The valid rules
+   * @throws {Error} If the text is no JSON or a rule is invalid
+   */
+  parse: function(json) {
+    var rules = JSON.parse(json);
+    return [].concat(rules).map(SiteRules.validate);
+  },
+
+  /**
+   * @param {Array} rules Rules
+   * @return {string} The rules as JSON for exporting
+   */
+  toJson: function(rules) {
+    return JSON.stringify(rules, null, 2);
+  },
+
+  /**
+   * @param {Object} rule A valid rule
+   * @param {string} host A host name as found in window.location.host
+   * @return {Boolean} true if the rule applies to the host or one of its parent domains
+   */
+  matchesHost: function(rule, host) {
+    host = host.toLowerCase().split(':')[0];
+    return rule.hosts.some(function(pattern) {
+      return host == pattern || host.slice(-pattern.length - 1) == '.' + pattern;
+    });
+  },
+
+  /**
+   * @param {Array} rules Valid rules
+   * @return {Array} The origin patterns of the hosts of the rules and their subdomains
+   */
+  getOrigins: function(rules) {
+    return rules.reduce(function(origins, rule) {
+      rule.hosts.forEach(function(host) {
+        origins.push('http://*.' + host + '/*', 'https://*.' + host + '/*');
+      });
+      return origins;
+    }, []);
+  },
+
+  /**
+   * @param {Object} rule A valid rule
+   * @return {Promise} Resolved with true if the user allowed the hosts of the rule
+   */
+  hasAccess: function(rule) {
+    return new Promise(function(resolve) {
+      chrome.permissions.contains({ origins: SiteRules.getOrigins([rule]) }, resolve);
+    });
+  },
+
+  /**
+   * Ask the user for the hosts of the rules, only possible while handling a click
+   * @param {Array} rules Valid rules
+   * @return {Promise} Resolved with true if the user allowed all of the hosts
+   */
+  requestAccess: function(rules) {
+    return new Promise(function(resolve, reject) {
+      chrome.permissions.request({ origins: SiteRules.getOrigins(rules) }, function(granted) {
+        if( chrome.runtime.lastError ) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve(granted);
+      });
+    });
+  },
+
+  /**
+   * @param {string} host A host name as found in window.location.host
+   * @return {Promise} Resolved with the stored rules of the host whose hosts the user allowed
+   */
+  loadAllowed: function(host) {
+    return SiteRules.load().then(function(rules) {
+      rules = rules.filter(function(rule) {
+        return SiteRules.matchesHost(rule, host);
+      });
+      return Promise.all(rules.map(SiteRules.hasAccess)).then(function(access) {
+        return rules.filter(function(rule, index) {
+          return access[index];
+        });
+      });
+    });
+  },
+
+  /**
+   * @return {Promise} Resolved with the stored rules
+   */
+  load: function() {
+    return new Promise(function(resolve) {
+      chrome.storage.local.get(STORAGE_KEY, function(items) {
+        resolve(items[STORAGE_KEY] || []);
+      });
+    });
+  },
+
+  /**
+   * @param {Array} rules Valid rules
+   * @return {Promise} Resolved once stored
+   */
+  save: function(rules) {
+    var items = {};
+    items[STORAGE_KEY] = rules;
+
+    return new Promise(function(resolve, reject) {
+      chrome.storage.local.set(items, function() {
+        if( chrome.runtime.lastError ) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+};
+
+
+  window.SiteRules = SiteRules;
+})();
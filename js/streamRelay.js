@@ -0,0 +1,101 @@
+// Stream relay
+//
+// Client of the local relay (relay/relay.js) re-serving streams with the
+// Referer, cookies and User-Agent their host wants, the Chromecast can't send
+// them itself. The relay serves converted subtitles as well, which are too
+// large for the Cast messages. Runs in the background page.
+
+
+(function() {
+  'use strict';
+
+
+/**
+ * Milliseconds to wait for the relay
+ */
+var RELAY_TIMEOUT = 3000;
+
+
+var StreamRelay = {
+
+  /**
+   * @param {MediaDescriptor} descriptor A media
+   * @return {Promise} Resolved with the headers of the descriptor and the cookies the
+   *   browser holds for the stream
+   */
+  getHeaders: function(descriptor) {
+    var headers = {};
+    for( var name in descriptor.headers ) {
+      headers[name] = descriptor.headers[name];
+    }
+
+    return new Promise(function(resolve) {
+      chrome.cookies.getAll({ url: descriptor.source }, function(cookies) {
+        if( cookies && cookies.length ) {
+          headers['Cookie'] = cookies.map(function(cookie) {
+            return cookie.name + '=' + cookie.value;
+          }).join('; ');
+        }
+        resolve(headers);
+      });
+    });
+  },
+
+  /**
+   * @param {string} address The address of the relay, e.g. http://127.0.0.1:8765
+   * @param {MediaDescriptor} descriptor A media
+   * @return {Promise} Resolved with the URL the receiver loads the stream from
+   */
+  register: function(address, descriptor) {
+    return StreamRelay.getHeaders(descriptor).then(function(headers) {
+      return StreamRelay.post(address, '/streams', { url: descriptor.source, headers: headers });
+    });
+  },
+
+  /**
+   * @param {string} address The address of the relay, e.g. http://127.0.0.1:8765
+   * @param {Object} track An inline text track, see Subtitles.isInline
+   * @return {Promise} Resolved with the URL the receiver loads the track from
+   */
+  registerTrack: function(address, track) {
+    return StreamRelay.post(address, '/tracks', { text: Subtitles.getInlineText(track) });
+  },
+
+  /**
+   * @param {string} address The address of the relay
+   * @param {string} path The registration path, /streams or /tracks
+   * @param {Object} data The JSON body
+   * @return {Promise} Resolved with the URL on the relay the relay answers with
+   */
+  post: function(address, path, data) {
+    return new Promise(function(resolve, reject) {
+      var xhr = new XMLHttpRequest();
+      xhr.timeout = RELAY_TIMEOUT;
+      xhr.onload = function() {
+        var response = null;
+        try {
+          response = JSON.parse(xhr.responseText);
+        }
+        catch(e) {
+          // answered by something else than the relay
+        }
+        if( xhr.status != 200 || !response || !response.url ) {
+          reject(new Error('relay at ' + address + ' answered ' + xhr.status +
+            (response && response.error ? ': ' + response.error : '')));
+          return;
+        }
+        resolve(response.url);
+      };
+      xhr.onerror = xhr.ontimeout = function() {
+        reject(new Error('no relay at ' + address));
+      };
+      xhr.open('POST', address.replace(/\/$/, '') + path, true);
+      xhr.setRequestHeader('Content-Type', 'application/json');
+      xhr.send(JSON.stringify(data));
+    });
+  }
+};
+
+
+  window.StreamRelay = StreamRelay;
+})();
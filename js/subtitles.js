@@ -0,0 +1,180 @@
+// Subtitle tracks
+//
+// Text tracks are described by plain objects with the members source, label,
+// language, kind ('subtitles' or 'captions') and contentType. The receiver only
+// renders WebVTT, SRT tracks are converted and passed as data URLs. Cast
+// messages are limited to 64 KB, larger tracks need the relay to be cast.
+
+
+(function(scope) {
+  'use strict';
+
+var ContentTypes = scope.ContentTypes;
+
+
+var VTT_CONTENT_TYPE = 'text/vtt';
+var SRT_CONTENT_TYPE = 'application/x-subrip';
+
+/**
+ * Characters of the data URLs sent in one Cast message, leaving room for the rest of the queue
+ */
+var MAX_INLINE_SIZE = 40 * 1024;
+
+/**
+ * SRT cue timing line, e.g. 00:01:02,500 --> 00:01:04,000
+ */
+var SRT_TIMING = /^(\d+:\d{2}:\d{2}),(\d{3})\s*-->\s*(\d+:\d{2}:\d{2}),(\d{3})(.*)$/;
+
+/**
+ * Caption font scales and background colors offered in the CC menu
+ */
+var CAPTION_SIZES = {
+  'Small' : 0.75,
+  'Normal' : 1.0,
+  'Large' : 1.5
+};
+
+var CAPTION_BACKGROUNDS = {
+  'None' : '#00000000',
+  'Shaded' : '#00000099',
+  'Black' : '#000000FF'
+};
+
+
+var Subtitles = {
+
+  VTT: VTT_CONTENT_TYPE,
+  SRT: SRT_CONTENT_TYPE,
+  SIZES: CAPTION_SIZES,
+  BACKGROUNDS: CAPTION_BACKGROUNDS,
+  MAX_INLINE_SIZE: MAX_INLINE_SIZE,
+
+  /**
+   * @param {Object} properties Members of the track, source is required
+   * @return {Object} A text track with all members set
+   */
+  createTrack: function(properties) {
+    var source = properties.source;
+    return {
+      source: source,
+      label: properties.label || properties.language || 'Subtitles',
+      language: properties.language || '',
+      kind: properties.kind == 'captions' ? 'captions' : 'subtitles',
+      contentType: properties.contentType ||
+        (/\.srt(?:[?#]|$)/i.test(source) ? SRT_CONTENT_TYPE : VTT_CONTENT_TYPE)
+    };
+  },
+
+  /**
+   * Converts SubRip subtitles to WebVTT. Cue numbers are kept as cue
+   * identifiers, the decimal comma of the timings becomes a dot and
+   * the <font> tags WebVTT does not know are dropped.
+   * @param {string} srt The content of a SRT file
+   * @return {string} The WebVTT file content
+   */
+  srtToVtt: function(srt) {
+    var lines = srt.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+
+    var cues = lines.map(function(line) {
+      var timing = SRT_TIMING.exec(line.trim());
+      if( timing ) {
+        return timing[1] + '.' + timing[2] + ' --> ' + timing[3] + '.' + timing[4] + timing[5];
+      }
+      return line.replace(/<\/?font[^>]*>/gi, '');
+    });
+
+    return 'WEBVTT\n\n' + cues.join('\n').trim() + '\n';
+  },
+
+  /**
+   * @param {string} vtt The content of a WebVTT file
+   * @return {string} A data URL the receiver can load the track from
+   */
+  toDataUrl: function(vtt) {
+    return 'data:' + VTT_CONTENT_TYPE + ';charset=utf-8,' + encodeURIComponent(vtt);
+  },
+
+  /**
+   * @param {Object} track A text track
+   * @return {Boolean} true if the track is sent in the Cast messages as data URL
+   */
+  isInline: function(track) {
+    return track.source.indexOf('data:') == 0;
+  },
+
+  /**
+   * @param {Object} track An inline text track
+   * @return {string} The WebVTT content of the track
+   */
+  getInlineText: function(track) {
+    return decodeURIComponent(track.source.slice(track.source.indexOf(',') + 1));
+  },
+
+  /**
+   * @param {string} text The content of a subtitle file
+   * @param {Object} track The track the content belongs to
+   * @return {Object} The track as WebVTT data URL
+   */
+  fromText: function(text, track) {
+    var vtt = /^\uFEFF?WEBVTT/.test(text) ? text : Subtitles.srtToVtt(text);
+    track.source = Subtitles.toDataUrl(vtt);
+    track.contentType = VTT_CONTENT_TYPE;
+    return track;
+  },
+
+  /**
+   * Fetches and converts a SRT track
+   * @param {Object} track A text track
+   * @return {Promise} Resolved with the track ready for the receiver or null
+   */
+  prepareTrack: function(track) {
+    if( track.contentType != SRT_CONTENT_TYPE ) {
+      return Promise.resolve(track);
+    }
+
+    return ContentTypes.fetchText(track.source).then(function(text) {
+      return text == null ? null : Subtitles.fromText(text, track);
+    });
+  },
+
+  /**
+   * Converts the SRT tracks of a media descriptor, tracks which can not
+   * be fetched are dropped
+   * @param {MediaDescriptor} descriptor A media descriptor
+   * @return {Promise} Resolved with the descriptor
+   */
+  prepare: function(descriptor) {
+    return Promise.all(descriptor.textTracks.map(Subtitles.prepareTrack)).then(function(tracks) {
+      descriptor.textTracks = tracks.filter(function(track) {
+        return track != null;
+      });
+      return descriptor;
+    });
+  },
+
+  /**
+   * Reads a subtitle file chosen by the user
+   * @param {File} file A SRT or WebVTT file
+   * @return {Promise} Resolved with the track
+   */
+  readFile: function(file) {
+    return new Promise(function(resolve, reject) {
+      var reader = new FileReader();
+      reader.onload = function() {
+        var track = Subtitles.createTrack({
+          source: file.name,
+          label: file.name.replace(/\.(srt|vtt)$/i, '')
+        });
+        resolve(Subtitles.fromText(reader.result, track));
+      };
+      reader.onerror = function() {
+        reject(reader.error);
+      };
+      reader.readAsText(file);
+    });
+  }
+};
+
+
+  scope.Subtitles = Subtitles;
+})(window.MovieCast || window);
@@ -0,0 +1,126 @@
+// MovieCast# receiver
+//
+// Web receiver to register as custom receiver application, see the README.
+// It plays like the default media receiver, the Cast framework renders the
+// video, the subtitle tracks and the caption style sent by the extension.
+// On top of it the page shows the title and poster of the extension's payload,
+// a branded idle screen and the messages sent on the MovieCast namespace.
+
+
+(function() {
+  'use strict';
+
+
+/**
+ * Namespace of the messages of the extension, see CastPlayer.sendReceiverMessage
+ */
+var NAMESPACE = 'urn:x-cast:com.moviecast.player';
+
+/**
+ * Milliseconds a toast message is shown
+ */
+var TOAST_DURATION = 5000;
+
+
+var MovieCastReceiver = function() {
+  // @type {cast.framework.CastReceiverContext} The receiver application
+  this.context = cast.framework.CastReceiverContext.getInstance();
+
+  // @type {cast.framework.PlayerManager} The media player of the application
+  this.playerManager = this.context.getPlayerManager();
+
+  // @type {Number} Timeout hiding the toast message
+  this.toastTimer = null;
+
+  // queue items of the extension are loaded with LOAD requests as well
+  this.playerManager.setMessageInterceptor(cast.framework.messages.MessageType.LOAD, this.onLoad.bind(this));
+  this.playerManager.addEventListener(cast.framework.events.EventType.PLAYER_LOAD_COMPLETE,
+    this.showIdleScreen.bind(this, false));
+  this.playerManager.addEventListener(cast.framework.events.EventType.MEDIA_FINISHED,
+    this.onMediaFinished.bind(this));
+  this.context.addCustomMessageListener(NAMESPACE, this.onMessage.bind(this));
+
+  var options = new cast.framework.CastReceiverOptions();
+  options.customNamespaces = {};
+  options.customNamespaces[NAMESPACE] = cast.framework.system.MessageType.JSON;
+  this.context.start(options);
+};
+
+/**
+ * Turn the payload of the extension into metadata if it was sent without, the player
+ * shows the title and poster of it
+ * @param {cast.framework.messages.LoadRequestData} request A load request
+ * @return {cast.framework.messages.LoadRequestData} The request to load
+ */
+MovieCastReceiver.prototype.onLoad = function(request) {
+  var media = request.media;
+  var payload = media.customData && media.customData.payload;
+  if( payload && !media.metadata ) {
+    media.metadata = new cast.framework.messages.GenericMediaMetadata();
+    media.metadata.title = payload.title;
+    media.metadata.subtitle = payload.subtitle;
+    if( payload.thumb ) {
+      media.metadata.images = [new cast.framework.messages.Image(payload.thumb)];
+    }
+  }
+  return request;
+};
+
+/**
+ * A queue item ended, the idle screen is only shown when no item follows. Skipped
+ * and interrupted items are followed by another one
+ * @param {cast.framework.events.MediaFinishedEvent} event The event
+ */
+MovieCastReceiver.prototype.onMediaFinished = function(event) {
+  var EndedReason = cast.framework.events.EndedReason;
+  if( event.endedReason == EndedReason.STOPPED || event.endedReason == EndedReason.ERROR ) {
+    this.showIdleScreen(true);
+  }
+  else if( event.endedReason == EndedReason.END_OF_STREAM ) {
+    var queueManager = this.playerManager.getQueueManager();
+    var items = queueManager.getItems() || [];
+    this.showIdleScreen(queueManager.getCurrentItemIndex() >= items.length - 1);
+  }
+};
+
+/**
+ * @param {Boolean} shown true to show the idle screen, false once a media plays
+ */
+MovieCastReceiver.prototype.showIdleScreen = function(shown) {
+  document.getElementById("idle").classList.toggle('hidden', !shown);
+};
+
+/**
+ * Handle a message of the extension, messages are objects with a type member.
+ * toast is the only type so far, new ones are added here and sent with
+ * CastPlayer.sendReceiverMessage:
+ *  - toast: shows the text member for a few seconds
+ * @param {cast.framework.system.Event} event The message event
+ */
+MovieCastReceiver.prototype.onMessage = function(event) {
+  var message = event.data;
+  if( message.type == 'toast' ) {
+    this.showToast(message.text);
+  }
+  else {
+    console.log("unknown message " + message.type);
+  }
+};
+
+/**
+ * @param {string} text A text shown for a few seconds above the video
+ */
+MovieCastReceiver.prototype.showToast = function(text) {
+  var toast = document.getElementById("toast");
+  toast.textContent = text;
+  toast.classList.add('shown');
+
+  clearTimeout(this.toastTimer);
+  this.toastTimer = setTimeout(function() {
+    toast.classList.remove('shown');
+  }, TOAST_DURATION);
+};
+
+
+  window.movieCastReceiver = new MovieCastReceiver();
+})();
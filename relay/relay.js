@@ -0,0 +1,515 @@
+// MovieCast# relay
+//
+// Re-serves streams whose host only answers requests carrying the Referer,
+// cookies or User-Agent of its page. The Chromecast can't send them, so it
+// loads such streams from the relay, which adds the headers. Run it with
+// Node.js on a computer in the network of the Chromecast:
+//
+//   node relay/relay.js [--port 8765] [--host 192.168.1.10]
+//
+// --host is the address the Chromecast reaches the computer at, the first
+// network address of the computer by default. The extension registers the
+// streams with POST /streams {url, headers}, which is only accepted from the
+// computer itself, and gets the URL of the stream on the relay back. The
+// relay passes Range requests on so the receiver can seek. HLS playlists are
+// rewritten so their segments are loaded through the relay as well. A stream
+// only loads URLs from its own origin and the origins its playlists name, and
+// the cookies and authorization of the page only go to the origin of the stream.
+// Subtitles converted by the extension are registered with POST /tracks {text}
+// and served as WebVTT, they are too large to be sent to the Chromecast inline.
+
+'use strict';
+
+var crypto = require('crypto');
+var http = require('http');
+var https = require('https');
+var os = require('os');
+
+
+/**
+ * Port the relay listens on unless --port is given
+ */
+var DEFAULT_PORT = 8765;
+
+/**
+ * Redirects followed when loading a stream
+ */
+var MAX_REDIRECTS = 5;
+
+/**
+ * Milliseconds a registered stream is served
+ */
+var STREAM_LIFETIME = 12 * 60 * 60 * 1000;
+
+/**
+ * Number of streams kept, the oldest ones are dropped
+ */
+var MAX_STREAMS = 100;
+
+/**
+ * Bytes of a registration request
+ */
+var MAX_REQUEST_SIZE = 64 * 1024;
+
+/**
+ * Bytes of a subtitle track registration
+ */
+var MAX_TRACK_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Headers of the extension passed on to the host of a stream
+ */
+var FORWARDED_HEADERS = ['referer', 'cookie', 'user-agent', 'origin', 'authorization'];
+
+/**
+ * Forwarded headers only sent to the origin of a stream
+ */
+var CREDENTIAL_HEADERS = ['cookie', 'authorization'];
+
+/**
+ * Headers of the host passed on to the receiver
+ */
+var RETURNED_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'last-modified', 'etag'];
+
+/**
+ * Headers the receiver needs to load the streams from another origin
+ */
+var CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+  'Access-Control-Allow-Headers': 'Range, Content-Type',
+  'Access-Control-Expose-Headers': 'Content-Length, Content-Range, Accept-Ranges'
+};
+
+/**
+ * HLS playlists by content type or file extension
+ */
+var PLAYLIST_TYPE = /mpegurl/i;
+var PLAYLIST_EXTENSION = /\.m3u8$/i;
+
+
+/**
+ * @param {Array} args The command line arguments after the script name
+ * @return {Object} The options port and host
+ */
+var parseArguments = function(args) {
+  var options = { port: DEFAULT_PORT, host: null };
+  for( var i = 0; i < args.length; i += 2 ) {
+    if( args[i] == '--port' ) {
+      options.port = parseInt(args[i + 1], 10);
+    }
+    else if( args[i] == '--host' ) {
+      options.host = args[i + 1];
+    }
+    else {
+      throw new Error('unknown option ' + args[i]);
+    }
+  }
+  if( !(options.port > 0) ) {
+    throw new Error('--port needs a number');
+  }
+  return options;
+};
+
+/**
+ * @return {string} The first IPv4 address of the computer in a network, 127.0.0.1 if there is none
+ */
+var getNetworkAddress = function() {
+  var interfaces = os.networkInterfaces();
+  for( var name in interfaces ) {
+    for( var i = 0; i < interfaces[name].length; i++ ) {
+      var address = interfaces[name][i];
+      if( (address.family == 'IPv4' || address.family == 4) && !address.internal ) {
+        return address.address;
+      }
+    }
+  }
+  return '127.0.0.1';
+};
+
+
+/**
+ * The relay server
+ * @param {Object} options The options port and host, see parseArguments
+ */
+var Relay = function(options) {
+  // @type {Number} The port the relay listens on
+  this.port = options.port;
+
+  // @type {string} The address of the relay in the network of the Chromecast
+  this.host = options.host || getNetworkAddress();
+
+  // @type {Object} The registered streams by id, objects with the members url, headers,
+  //   origin, origins (the origin and those named by its playlists) and created
+  this.streams = {};
+
+  // @type {Object} The registered subtitle tracks by id, objects with the members text and created
+  this.tracks = {};
+
+  // @type {http.Server} The HTTP server
+  this.server = http.createServer(this.onRequest.bind(this));
+};
+
+/**
+ * Start listening on all network interfaces
+ */
+Relay.prototype.listen = function() {
+  this.server.listen(this.port, function() {
+    console.log('MovieCast# relay serving at http://' + this.host + ':' + this.port);
+  }.bind(this));
+};
+
+/**
+ * @param {http.IncomingMessage} request A request of the extension or the receiver
+ * @param {http.ServerResponse} response Its response
+ */
+Relay.prototype.onRequest = function(request, response) {
+  var url = new URL(request.url, 'http://' + this.host);
+  var path = url.pathname.split('/');
+
+  if( request.method == 'OPTIONS' ) {
+    response.writeHead(204, CORS_HEADERS);
+    response.end();
+  }
+  else if( url.pathname == '/streams' && request.method == 'POST' ) {
+    this.register(request, response);
+  }
+  else if( url.pathname == '/tracks' && request.method == 'POST' ) {
+    this.registerTrack(request, response);
+  }
+  else if( path.length == 3 && path[1] == 'tracks' && (request.method == 'GET' || request.method == 'HEAD') ) {
+    this.serveTrack(request, response, path[2]);
+  }
+  else if( path.length == 3 && path[1] == 'streams' && (request.method == 'GET' || request.method == 'HEAD') ) {
+    this.serve(request, response, path[2], url.searchParams.get('url'));
+  }
+  else {
+    this.sendJson(response, 404, { error: 'not found' });
+  }
+};
+
+/**
+ * Only the extension on this computer registers streams, the relay is no proxy for the network.
+ * Web pages can't send JSON to it without a preflight the relay does not allow for POST.
+ * @param {http.IncomingMessage} request A registration request
+ * @return {Boolean} true if the request comes from a browser extension on this computer
+ */
+Relay.prototype.isTrusted = function(request) {
+  var local = ['127.0.0.1', '::1', '::ffff:127.0.0.1'].indexOf(request.socket.remoteAddress) >= 0;
+  var origin = request.headers['origin'];
+  return local && (!origin || origin.indexOf('chrome-extension://') == 0);
+};
+
+/**
+ * Register a stream, answers with its id and URL on the relay
+ * @param {http.IncomingMessage} request A POST request with a JSON body {url, headers}
+ * @param {http.ServerResponse} response Its response
+ */
+Relay.prototype.register = function(request, response) {
+  if( !this.isTrusted(request) ) {
+    this.sendJson(response, 403, { error: 'streams are only registered from this computer' });
+    return;
+  }
+
+  this.readJson(request, MAX_REQUEST_SIZE, function(stream) {
+    try {
+      if( !/^https?:$/.test(new URL(stream.url).protocol) ) {
+        throw new Error('not an http URL');
+      }
+    }
+    catch(e) {
+      this.sendJson(response, 400, { error: 'invalid stream: ' + e.message });
+      return;
+    }
+
+    var id = crypto.randomBytes(12).toString('hex');
+    var origin = new URL(stream.url).origin;
+    this.streams[id] = { url: stream.url, headers: stream.headers || {}, origin: origin, origins: [origin],
+      created: Date.now() };
+    this.prune(this.streams);
+
+    console.log('registered ' + stream.url);
+    this.sendJson(response, 200, { id: id, url: 'http://' + this.host + ':' + this.port + '/streams/' + id });
+  }.bind(this), function(e) {
+    this.sendJson(response, 400, { error: 'invalid stream: ' + e.message });
+  }.bind(this));
+};
+
+/**
+ * Register a subtitle track, answers with its id and URL on the relay
+ * @param {http.IncomingMessage} request A POST request with a JSON body {text}, the WebVTT track
+ * @param {http.ServerResponse} response Its response
+ */
+Relay.prototype.registerTrack = function(request, response) {
+  if( !this.isTrusted(request) ) {
+    this.sendJson(response, 403, { error: 'tracks are only registered from this computer' });
+    return;
+  }
+
+  this.readJson(request, MAX_TRACK_SIZE, function(track) {
+    if( typeof track.text != 'string' || !/^\uFEFF?WEBVTT/.test(track.text) ) {
+      this.sendJson(response, 400, { error: 'invalid track: not WebVTT' });
+      return;
+    }
+
+    var id = crypto.randomBytes(12).toString('hex');
+    this.tracks[id] = { text: track.text, created: Date.now() };
+    this.prune(this.tracks);
+
+    this.sendJson(response, 200, { id: id, url: 'http://' + this.host + ':' + this.port + '/tracks/' + id });
+  }.bind(this), function(e) {
+    this.sendJson(response, 400, { error: 'invalid track: ' + e.message });
+  }.bind(this));
+};
+
+/**
+ * @param {http.IncomingMessage} request A request with a JSON body
+ * @param {Number} maxSize Bytes of the body, larger requests are dropped
+ * @param {function} callback Called with the parsed body
+ * @param {function} errorCallback Called with the error if the body is no JSON object
+ */
+Relay.prototype.readJson = function(request, maxSize, callback, errorCallback) {
+  var body = '';
+  request.setEncoding('utf8');
+  request.on('data', function(chunk) {
+    body += chunk;
+    if( body.length > maxSize ) {
+      request.destroy();
+    }
+  });
+  request.on('end', function() {
+    var data;
+    try {
+      data = JSON.parse(body);
+      if( !data || typeof data != 'object' ) {
+        throw new Error('not an object');
+      }
+    }
+    catch(e) {
+      errorCallback(e);
+      return;
+    }
+    callback(data);
+  });
+};
+
+/**
+ * Drop expired entries and the oldest ones above MAX_STREAMS
+ * @param {Object} entries The registered streams or tracks by id
+ */
+Relay.prototype.prune = function(entries) {
+  var ids = Object.keys(entries).filter(function(id) {
+    if( Date.now() - entries[id].created > STREAM_LIFETIME ) {
+      delete entries[id];
+      return false;
+    }
+    return true;
+  });
+
+  ids.sort(function(a, b) {
+    return entries[a].created - entries[b].created;
+  });
+  ids.slice(0, Math.max(ids.length - MAX_STREAMS, 0)).forEach(function(id) {
+    delete entries[id];
+  });
+};
+
+/**
+ * Serve a registered subtitle track
+ * @param {http.IncomingMessage} request A request of the receiver
+ * @param {http.ServerResponse} response Its response
+ * @param {string} id The id of the track
+ */
+Relay.prototype.serveTrack = function(request, response, id) {
+  var track = this.tracks[id];
+  if( !track ) {
+    this.sendJson(response, 404, { error: 'unknown track' });
+    return;
+  }
+
+  var headers = { 'Content-Type': 'text/vtt; charset=utf-8', 'Content-Length': Buffer.byteLength(track.text) };
+  for( var name in CORS_HEADERS ) {
+    headers[name] = CORS_HEADERS[name];
+  }
+  response.writeHead(200, headers);
+  response.end(request.method == 'HEAD' ? undefined : track.text);
+};
+
+/**
+ * @param {Object} stream A registered stream
+ * @param {URL} target The URL loaded, the stream or a segment of its playlist
+ * @param {http.IncomingMessage} request The request of the receiver
+ * @return {Object} The headers of the request to the host. Cookies and authorization are
+ *   only sent to the origin of the stream, the segments of a playlist may be on another one.
+ */
+Relay.prototype.getUpstreamHeaders = function(stream, target, request) {
+  var headers = {};
+  for( var name in stream.headers ) {
+    var lowerName = name.toLowerCase();
+    if( FORWARDED_HEADERS.indexOf(lowerName) >= 0 &&
+        (CREDENTIAL_HEADERS.indexOf(lowerName) < 0 || target.origin == stream.origin) ) {
+      headers[lowerName] = stream.headers[name];
+    }
+  }
+  if( request.headers['range'] ) {
+    headers['range'] = request.headers['range'];
+  }
+  return headers;
+};
+
+/**
+ * @param {string} method GET or HEAD
+ * @param {URL} target The URL to load
+ * @param {Object} headers The request headers, the credentials are dropped on redirects to another origin
+ * @param {Number} redirects The number of redirects still followed
+ * @param {function} callback Called with an error or null, the response and the URL after redirects
+ */
+Relay.prototype.fetch = function(method, target, headers, redirects, callback) {
+  var client = target.protocol == 'https:' ? https : http;
+  var upstream = client.request(target, { method: method, headers: headers }, function(response) {
+    if( response.statusCode >= 300 && response.statusCode < 400 && response.headers['location'] && redirects > 0 ) {
+      response.resume();
+      var location = new URL(response.headers['location'], target);
+      if( location.origin != target.origin ) {
+        headers = Object.assign({}, headers);
+        CREDENTIAL_HEADERS.forEach(function(name) {
+          delete headers[name];
+        });
+      }
+      this.fetch(method, location, headers, redirects - 1, callback);
+      return;
+    }
+    callback(null, response, target);
+  }.bind(this));
+
+  upstream.on('error', callback);
+  upstream.end();
+};
+
+/**
+ * Serve a registered stream or a segment of its playlist
+ * @param {http.IncomingMessage} request A request of the receiver
+ * @param {http.ServerResponse} response Its response
+ * @param {string} id The id of the stream
+ * @param {string} segmentUrl The URL of a segment of the playlist, null for the stream itself
+ */
+Relay.prototype.serve = function(request, response, id, segmentUrl) {
+  var stream = this.streams[id];
+  if( !stream ) {
+    this.sendJson(response, 404, { error: 'unknown stream' });
+    return;
+  }
+
+  var target;
+  try {
+    target = new URL(segmentUrl || stream.url);
+    if( !/^https?:$/.test(target.protocol) ) {
+      throw new Error('not an http URL');
+    }
+  }
+  catch(e) {
+    this.sendJson(response, 400, { error: 'invalid segment: ' + e.message });
+    return;
+  }
+  // the relay is no proxy for any URL
+  if( stream.origins.indexOf(target.origin) < 0 ) {
+    this.sendJson(response, 403, { error: 'segment outside of the origins of the stream' });
+    return;
+  }
+
+  var headers = this.getUpstreamHeaders(stream, target, request);
+  this.fetch(request.method, target, headers, MAX_REDIRECTS, function(error, upstream, finalUrl) {
+    if( error ) {
+      console.log('loading ' + target.href + ' failed: ' + error.message);
+      this.sendJson(response, 502, { error: error.message });
+      return;
+    }
+
+    var responseHeaders = {};
+    for( var name in CORS_HEADERS ) {
+      responseHeaders[name] = CORS_HEADERS[name];
+    }
+    RETURNED_HEADERS.forEach(function(name) {
+      if( upstream.headers[name] ) {
+        responseHeaders[name] = upstream.headers[name];
+      }
+    });
+
+    var playlist = PLAYLIST_TYPE.test(upstream.headers['content-type'] || '') ||
+      PLAYLIST_EXTENSION.test(finalUrl.pathname);
+    if( playlist && request.method == 'GET' && upstream.statusCode == 200 ) {
+      this.servePlaylist(response, upstream, responseHeaders, id, finalUrl);
+      return;
+    }
+
+    response.writeHead(upstream.statusCode, responseHeaders);
+    upstream.pipe(response);
+    // the receiver drops requests when it seeks, stop loading them from the host
+    response.on('close', function() {
+      upstream.destroy();
+    });
+  }.bind(this));
+};
+
+/**
+ * Serve an HLS playlist with the URLs of its segments and variant playlists
+ * pointing to the relay. Their origins are allowed for the stream from now on.
+ * @param {http.ServerResponse} response The response to the receiver
+ * @param {http.IncomingMessage} upstream The response of the host
+ * @param {Object} headers The response headers
+ * @param {string} id The id of the stream
+ * @param {URL} baseUrl The URL of the playlist, the URLs in it are relative to it
+ */
+Relay.prototype.servePlaylist = function(response, upstream, headers, id, baseUrl) {
+  var origins = this.streams[id].origins;
+  var relayUrl = function(url) {
+    url = new URL(url, baseUrl);
+    if( origins.indexOf(url.origin) < 0 ) {
+      origins.push(url.origin);
+    }
+    return '/streams/' + id + '?url=' + encodeURIComponent(url.href);
+  };
+
+  var text = '';
+  upstream.setEncoding('utf8');
+  upstream.on('data', function(chunk) {
+    text += chunk;
+  });
+  upstream.on('end', function() {
+    var playlist = text.split(/\r?\n/).map(function(line) {
+      if( line && line.charAt(0) != '#' ) {
+        return relayUrl(line.trim());
+      }
+      // keys, audio renditions and maps of the tags
+      return line.replace(/URI="([^"]+)"/g, function(match, url) {
+        return 'URI="' + relayUrl(url) + '"';
+      });
+    }).join('\n');
+
+    headers['content-length'] = Buffer.byteLength(playlist);
+    delete headers['content-range'];
+    response.writeHead(200, headers);
+    response.end(playlist);
+  });
+};
+
+/**
+ * @param {http.ServerResponse} response A response
+ * @param {Number} status The HTTP status
+ * @param {Object} data The JSON body
+ */
+Relay.prototype.sendJson = function(response, status, data) {
+  var headers = { 'Content-Type': 'application/json' };
+  for( var name in CORS_HEADERS ) {
+    headers[name] = CORS_HEADERS[name];
+  }
+  response.writeHead(status, headers);
+  response.end(JSON.stringify(data));
+};
+
+
+if( require.main === module ) {
+  new Relay(parseArguments(process.argv.slice(2))).listen();
+}
+
+module.exports = Relay;